@@ -11,11 +11,16 @@
 //   (https://storefrontgateway.shoprite.com/api) using the probe-*.js
 //   scripts to query product locations for ~200 common items, then
 //   grouped by aisle to establish the walk-order and keyword map.
+//   The same process is now built in: `node scraper/shop.js probe`.
 //
 // How to update:
 //   AISLE_SORT_ORDER — Edit manually if the store rearranges aisles.
 //     The numeric values set walk order (lower = earlier in the trip).
 //
+// Other stores:
+//   This order is also the default walk order for any store whose
+//   profile (scraper/stores/<id>.json) has no "walkOrder" of its own.
+//
 
 const AISLE_SORT_ORDER = {
   'Produce':          1,
@@ -58,3 +63,5 @@ const AISLE_SORT_ORDER = {
   'Customer Service': 40,
   'Unknown':          99,
 };
+
+module.exports = { AISLE_SORT_ORDER };
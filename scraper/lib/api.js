@@ -0,0 +1,131 @@
+// ============================================================
+// ShopRite Storefrontgateway API client
+// ============================================================
+// GET-only JSON client with a per-request timeout and retries.
+// Transient failures — 429, 5xx, timeouts, dropped sockets, truncated
+// bodies — are retried with exponential backoff (honoring Retry-After
+// on 429). Anything else fails straight away.
+//
+// Errors carry `status` (HTTP code, when there was one) and
+// `transient` so callers can tell an API problem from "not found".
+//
+// The base URL can point anywhere (http or https) — e.g. a local
+// stand-in server — and responses can be recorded to / replayed from
+// fixture files (see lib/fixtures.js).
+
+const http = require('http');
+const https = require('https');
+const { sleep } = require('./queue');
+const { saveFixture, loadFixture } = require('./fixtures');
+
+const API_BASE = 'https://storefrontgateway.shoprite.com/api';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 3;
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 8000;
+
+// Network error codes worth another try (DNS failures like ENOTFOUND aren't)
+const TRANSIENT_CODES = ['ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ECONNREFUSED'];
+
+const HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+  'Accept': 'application/json, text/plain, */*',
+  'Origin': 'https://www.shoprite.com',
+  'Referer': 'https://www.shoprite.com/',
+  'Authorization': 'Bearer anonymous',
+  'X-Site-Host': 'https://www.shoprite.com',
+};
+
+function apiError(message, { status = null, transient = false, retryAfterMs = null } = {}) {
+  const err = new Error(message);
+  err.status = status;
+  err.transient = transient;
+  err.retryAfterMs = retryAfterMs;
+  return err;
+}
+
+function requestOnce(url, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const parsed = new URL(url);
+    const opts = {
+      hostname: parsed.hostname,
+      port: parsed.port || undefined,
+      path: parsed.pathname + parsed.search,
+      headers: HEADERS,
+    };
+    const client = parsed.protocol === 'http:' ? http : https;
+    const req = client.get(opts, (res) => {
+      let body = '';
+      res.on('data', d => body += d);
+      res.on('end', () => {
+        if (res.statusCode !== 200) {
+          const retryAfter = parseInt(res.headers['retry-after'], 10);
+          reject(apiError(`API returned ${res.statusCode}`, {
+            status: res.statusCode,
+            transient: res.statusCode === 429 || res.statusCode >= 500,
+            retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : null,
+          }));
+        } else {
+          try { resolve(JSON.parse(body)); }
+          catch (e) { reject(apiError('Invalid JSON response', { transient: true })); }
+        }
+      });
+      res.on('error', err => reject(apiError(err.message, { transient: true })));
+    });
+    req.setTimeout(timeoutMs, () => {
+      req.destroy(apiError(`Timed out after ${timeoutMs}ms`, { transient: true }));
+    });
+    req.on('error', (err) => {
+      if (err.transient !== undefined) reject(err);
+      else reject(apiError(err.message, { transient: TRANSIENT_CODES.includes(err.code) }));
+    });
+  });
+}
+
+function backoffMs(attempt, err) {
+  if (err.retryAfterMs) return Math.min(err.retryAfterMs, BACKOFF_MAX_MS);
+  const exp = Math.min(BACKOFF_BASE_MS * 2 ** attempt, BACKOFF_MAX_MS);
+  return exp / 2 + Math.random() * exp / 2;
+}
+
+// opts: { base, timeoutMs, retries, limiter, record, replay }
+//   limiter — from createRateLimiter(), waited on before every attempt
+//   record  — fixture directory to save each successful response to
+//   replay  — fixture directory to answer from instead of the network
+function createApiClient(opts = {}) {
+  const base = (opts.base || API_BASE).replace(/\/+$/, '');
+  const timeoutMs = opts.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const retries = opts.retries ?? DEFAULT_RETRIES;
+  const limiter = opts.limiter || null;
+  const stats = { requests: 0, retries: 0, failures: 0 };
+
+  async function get(urlPath) {
+    if (opts.replay) {
+      stats.requests++;
+      return loadFixture(opts.replay, urlPath);
+    }
+
+    const url = urlPath.startsWith('http') ? urlPath : base + urlPath;
+    for (let attempt = 0; ; attempt++) {
+      if (limiter) await limiter.wait();
+      stats.requests++;
+      try {
+        const body = await requestOnce(url, timeoutMs);
+        if (opts.record) saveFixture(opts.record, urlPath, body);
+        return body;
+      } catch (err) {
+        if (!err.transient || attempt >= retries) {
+          stats.failures++;
+          throw err;
+        }
+        stats.retries++;
+        await sleep(backoffMs(attempt, err));
+      }
+    }
+  }
+
+  return { get, stats, base };
+}
+
+module.exports = { createApiClient, API_BASE, DEFAULT_TIMEOUT_MS, DEFAULT_RETRIES };
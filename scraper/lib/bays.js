@@ -0,0 +1,61 @@
+// ============================================================
+// Bay Order — walking order of items inside one aisle/department
+// ============================================================
+// parseAisleText() leaves the spot within a department as free text:
+// "ISLAND 1", "LEFT WALL", "TABLE 6", "PROMO", or the letter from "12A".
+// parseBay() splits that into a kind and a number so items can be
+// sorted, and compareBays() orders two bays by a list of kinds:
+//
+//   ["LEFT WALL", "ISLAND", "TABLE", "RIGHT WALL"]
+//
+// An entry can also name one bay exactly ("ISLAND 3") to pull it ahead
+// of the rest of its kind. Within a kind, bays go by number (ISLAND 1,
+// ISLAND 2) or letter (A, B). Kinds not in the list follow the listed
+// ones, alphabetically; items with no bay come last, in list order.
+//
+// Store profiles set the order per department with "bayOrder"
+// (lib/storeProfiles.js); DEFAULT_BAY_ORDER covers the rest.
+
+const DEFAULT_BAY_ORDER = [
+  'LEFT WALL', 'ISLAND', 'TABLE', 'SERVICE COUNTER', 'PROMO', 'RIGHT WALL', 'BACK WALL',
+];
+
+function normalizeBay(bay) {
+  return (bay || '').toUpperCase().replace(/\s+/g, ' ').trim();
+}
+
+// "ISLAND 1" → { kind: 'ISLAND', num: 1 }, "B" → { kind: '', num: 2 },
+// "LEFT WALL" → { kind: 'LEFT WALL', num: 0 }; null for no bay
+function parseBay(bay) {
+  const text = normalizeBay(bay);
+  if (!text) return null;
+  if (/^[A-Z]$/.test(text)) return { kind: '', num: text.charCodeAt(0) - 64 };
+  const m = text.match(/^(.*?)\s*#?(\d+)$/);
+  if (m && m[1]) return { kind: m[1], num: parseInt(m[2], 10) };
+  return { kind: text, num: 0 };
+}
+
+// Sort key: [listed position, unlisted kind name, number]
+function bayKey(bay, order) {
+  const pos = parseBay(bay);
+  if (!pos) return [Infinity, '', 0];
+  const exact = order.indexOf(normalizeBay(bay));
+  if (exact !== -1) return [exact, '', 0];
+  const listed = order.indexOf(pos.kind);
+  return listed !== -1 ? [listed, '', pos.num] : [order.length, pos.kind, pos.num];
+}
+
+// order: kinds / exact bays, already upper-cased (see storeProfiles)
+function compareBays(a, b, order = DEFAULT_BAY_ORDER) {
+  const ka = bayKey(a, order);
+  const kb = bayKey(b, order);
+  if (ka[0] !== kb[0]) return ka[0] < kb[0] ? -1 : 1;
+  return ka[1].localeCompare(kb[1]) || ka[2] - kb[2];
+}
+
+// A profile's bayOrder map → the order for one aisle
+function bayOrderFor(bayOrder, aisle) {
+  return (bayOrder && bayOrder[aisle]) || DEFAULT_BAY_ORDER;
+}
+
+module.exports = { parseBay, compareBays, bayOrderFor, normalizeBay, DEFAULT_BAY_ORDER };
@@ -0,0 +1,166 @@
+// ============================================================
+// Lookup Cache — scraper/cache.json, keyed by store
+// ============================================================
+//
+// Each entry records where a lookup term was found and when:
+//
+//   "butter": {
+//     "aisle": "Dairy", "bay": "PROMO",
+//     "sku": "00041190000446", "product": "ShopRite Salted Butter",
+//     "confidence": 0.86, "price": 4.49, "regularPrice": null,
+//     "size": "16 oz", "unitPrice": "$0.28/oz", "sale": false,
+//     "promo": null, "lookedUpAt": "2026-02-14T21:58:03.000Z"
+//   }
+//
+// Found entries older than the max age (default 90 days) are looked
+// up again; if that refresh fails the stale entry is still used.
+// Entries written before timestamps existed count as expired; ones
+// from before prices (lib/prices.js) keep their location, unpriced,
+// until they expire. A pick made under a price ceiling records it
+// as maxPrice.
+//
+// Unknowns are cached too, as negative entries with a retry time
+// that backs off on each miss (1, 3, 7, 14, then 30 days), so dead
+// terms don't hit the API on every run. API errors are never cached.
+
+const fs = require('fs');
+const { PRICE_FIELDS } = require('./prices');
+
+const DEFAULT_MAX_AGE_DAYS = 90;
+const MISS_BACKOFF_DAYS = [1, 3, 7, 14, 30];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// file === null gives an in-memory cache that is never read or saved
+// (--no-cache, replay runs that must not touch cache.json).
+function loadCache(file, storeId) {
+  let all = {};
+  if (file) {
+    try {
+      all = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (_) { /* no cache file yet */ }
+  }
+  const entries = new Map(Object.entries(all[storeId] || {}));
+  return { file, storeId: String(storeId), all, entries };
+}
+
+function saveCache(cache) {
+  if (!cache.file) return;
+  cache.all[cache.storeId] = Object.fromEntries(cache.entries);
+  fs.writeFileSync(cache.file, JSON.stringify(cache.all, null, 2), 'utf-8');
+}
+
+function entryAgeDays(entry, now = Date.now()) {
+  if (!entry.lookedUpAt) return Infinity;
+  return (now - Date.parse(entry.lookedUpAt)) / DAY_MS;
+}
+
+// status: 'fresh'    — found entry within max age, use it
+//         'negative' — cached miss still inside its backoff window
+//         'expired'  — found entry past max age (or undated), refresh
+//         'retry'    — cached miss whose backoff has run out
+//         'missing'  — never looked up
+function checkCache(cache, key, maxAgeDays = DEFAULT_MAX_AGE_DAYS, now = Date.now()) {
+  const entry = cache.entries.get(key);
+  if (!entry) return { entry: null, status: 'missing' };
+  if (entry.aisle === 'Unknown') {
+    const retryAt = entry.retryAfter ? Date.parse(entry.retryAfter) : 0;
+    return { entry, status: now < retryAt ? 'negative' : 'retry' };
+  }
+  return { entry, status: entryAgeDays(entry, now) > maxAgeDays ? 'expired' : 'fresh' };
+}
+
+function storeResult(cache, key, result, now = Date.now()) {
+  const entry = {
+    aisle: result.aisle,
+    bay: result.bay || '',
+    sku: result.sku || null,
+    product: result.product || null,
+    confidence: result.confidence ?? null,
+  };
+  for (const field of PRICE_FIELDS) entry[field] = result[field] ?? null;
+  if (typeof result.maxPrice === 'number') entry.maxPrice = result.maxPrice;
+  entry.lookedUpAt = new Date(now).toISOString();
+  cache.entries.set(key, entry);
+  return entry;
+}
+
+// reason: 'no results' | 'no location'
+function storeMiss(cache, key, reason, now = Date.now()) {
+  const prev = cache.entries.get(key);
+  const misses = prev && prev.aisle === 'Unknown' ? (prev.misses || 0) + 1 : 1;
+  const days = MISS_BACKOFF_DAYS[Math.min(misses, MISS_BACKOFF_DAYS.length) - 1];
+  const entry = {
+    aisle: 'Unknown',
+    bay: '',
+    reason,
+    misses,
+    lookedUpAt: new Date(now).toISOString(),
+    retryAfter: new Date(now + days * DAY_MS).toISOString(),
+  };
+  cache.entries.set(key, entry);
+  return entry;
+}
+
+// ---- Maintenance helpers for `shop.js cache` ----
+
+function invalidateTerm(cache, term) {
+  return cache.entries.delete(term.toLowerCase().trim());
+}
+
+function invalidateAisle(cache, aisle) {
+  const want = aisle.toLowerCase().trim();
+  let removed = 0;
+  for (const [k, v] of cache.entries) {
+    if (v.aisle.toLowerCase() === want) {
+      cache.entries.delete(k);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+function pruneOlderThan(cache, days, now = Date.now()) {
+  let removed = 0;
+  for (const [k, v] of cache.entries) {
+    if (entryAgeDays(v, now) > days) {
+      cache.entries.delete(k);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+// Stats for every store in the cache file, not just the open one.
+function cacheStats(cache, maxAgeDays = DEFAULT_MAX_AGE_DAYS, now = Date.now()) {
+  const stats = [];
+  const all = { ...cache.all, [cache.storeId]: Object.fromEntries(cache.entries) };
+  for (const [storeId, data] of Object.entries(all)) {
+    const entries = Object.values(data);
+    const dated = entries.filter(e => e.lookedUpAt).map(e => Date.parse(e.lookedUpAt));
+    stats.push({
+      storeId,
+      total: entries.length,
+      found: entries.filter(e => e.aisle !== 'Unknown').length,
+      unknown: entries.filter(e => e.aisle === 'Unknown').length,
+      expired: entries.filter(e => e.aisle !== 'Unknown' && entryAgeDays(e, now) > maxAgeDays).length,
+      undated: entries.length - dated.length,
+      oldest: dated.length ? new Date(Math.min(...dated)).toISOString() : null,
+      newest: dated.length ? new Date(Math.max(...dated)).toISOString() : null,
+    });
+  }
+  return stats.filter(s => s.total > 0);
+}
+
+module.exports = {
+  loadCache,
+  saveCache,
+  checkCache,
+  storeResult,
+  storeMiss,
+  entryAgeDays,
+  invalidateTerm,
+  invalidateAisle,
+  pruneOlderThan,
+  cacheStats,
+  DEFAULT_MAX_AGE_DAYS,
+};
@@ -0,0 +1,121 @@
+// ============================================================
+// Checklist Merge — keep [x] state when a list is regenerated
+// ============================================================
+// Re-running the same list mid-trip rewrites today's markdown file.
+// readChecklist() pulls the items (and their checkboxes) out of the
+// existing file; mergeChecklist() carries them onto the new run:
+//
+//   still on the list  → keeps its [x] / [ ] state
+//   not there before   → marked *[new]*
+//   gone from the list → moved to a "## Dropped" section (and kept
+//                        there on later runs until it comes back)
+//
+// Items are matched by name, case-insensitively; a name that appears
+// twice is matched in order.
+//
+// Trip files are named by date with the year, plus a sequence number
+// from the second trip of the day on:
+//
+//   2026-Feb-14.md, 2026-Feb-14-2.md, 2026-Feb-14-3.md
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
+                'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const DROPPED_HEADING = 'Dropped';
+
+function nameKey(name) {
+  return name.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// "- [x] Berries ×2 — ISLAND 1 *(under $5)* · $4.49" → name "Berries"
+// (" · " starts the price, "$2.99, sale: was $3.49", lib/prices.js)
+const ITEM_LINE = /^- \[( |x|X)\] (.+)$/;
+const NAME_END = / ×| — | \*| · | <sub>/;
+
+// text → { items: [{ key, name, checked, line }], dropped: [...] }
+// `line` is the item's markdown without the checkbox or *[new]* marker.
+function readChecklist(text) {
+  const items = [];
+  const dropped = [];
+  let section = null;
+  for (const raw of text.split('\n')) {
+    if (raw.startsWith('## ')) {
+      section = raw.slice(3).trim();
+      continue;
+    }
+    if (raw === '---') break;   // original list follows
+    const m = raw.match(ITEM_LINE);
+    if (!m || section === null) continue;
+
+    const line = m[2].replace(/ \*\[new\]\*/, '').replace(/^~~(.*)~~$/, '$1');
+    const cut = line.search(NAME_END);
+    const name = (cut === -1 ? line : line.slice(0, cut)).trim();
+    const entry = { key: nameKey(name), name, checked: m[1] !== ' ', line };
+    (section === DROPPED_HEADING ? dropped : items).push(entry);
+  }
+  return { items, dropped };
+}
+
+// Sets item.checked / item.added on the new items (in place) and
+// returns { dropped, kept, added } — dropped is what the Dropped
+// section should list, kept counts carried-over checkmarks.
+function mergeChecklist(items, previous) {
+  const pool = new Map();
+  const remember = (entry, wasDropped) => {
+    if (!pool.has(entry.key)) pool.set(entry.key, []);
+    pool.get(entry.key).push({ ...entry, wasDropped });
+  };
+  for (const entry of previous.items) remember(entry, false);
+  for (const entry of previous.dropped) remember(entry, true);
+
+  let kept = 0;
+  let added = 0;
+  for (const item of items) {
+    const matches = pool.get(nameKey(item.name));
+    const match = matches && matches.shift();
+    item.checked = match ? match.checked : false;
+    item.added = !match || match.wasDropped;
+    if (item.checked) kept++;
+    if (item.added) added++;
+  }
+
+  const dropped = [...pool.values()].flat().map(({ name, checked, line }) => ({ name, checked, line }));
+  return { dropped, kept, added };
+}
+
+// ---- Trip file names ----
+function tripBase(now) {
+  return `${now.getFullYear()}-${MONTHS[now.getMonth()]}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
+// seq 1 → "2026-Feb-14.md", seq 2 → "2026-Feb-14-2.md"
+function tripName(now, ext = 'md', seq = 1) {
+  return seq > 1 ? `${tripBase(now)}-${seq}.${ext}` : `${tripBase(now)}.${ext}`;
+}
+
+// Highest sequence number among today's trip files (0 if none)
+function latestTrip(fileNames, now, ext = 'md') {
+  const base = tripBase(now);
+  let latest = 0;
+  for (const f of fileNames) {
+    if (f === `${base}.${ext}`) latest = Math.max(latest, 1);
+    const m = f.match(/-(\d+)\.[^.]+$/);
+    if (m && f === `${base}-${m[1]}.${ext}`) latest = Math.max(latest, parseInt(m[1], 10));
+  }
+  return latest;
+}
+
+// Output files look like "2026-Feb-14.txt" — skip them when reading
+// a directory of lists
+function isTripFile(fileName) {
+  return /^\d{4}-[A-Z][a-z]{2}-\d{2}(-\d+)?\.[a-z]+$/.test(fileName);
+}
+
+module.exports = {
+  readChecklist,
+  mergeChecklist,
+  tripName,
+  latestTrip,
+  isTripFile,
+  DROPPED_HEADING,
+};
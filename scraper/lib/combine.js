@@ -0,0 +1,92 @@
+// ============================================================
+// Combine Lists — several people's lists → one trip
+// ============================================================
+// combineLists() takes parsed items from each source list and merges
+// the ones that point to the same product, matched on a normalized
+// lookupTerm ("Black Beans" / "black bean" → "black bean"):
+//
+//   name, brand, category, section — from the first list that has
+//             the item
+//   qty     — quantities (lib/quantity.js) are added up when they
+//             measure the same thing ("2" + "3" → "5", "2 cans" +
+//             "1 can" → "3 cans"), otherwise the text is joined with
+//             " + " ("2 dozen + 6"); a list with no quantity adds
+//             nothing ("milk" + "milk x2" → "2")
+//   notes   — concatenated, duplicates dropped ("ripe; under $5")
+//   maxPrice — the lowest price ceiling any list set
+//   sources — every list the item came from (["mom", "dad"])
+//
+// Source names are file names without the extension.
+
+const path = require('path');
+const { addQuantities } = require('./quantity');
+
+// Crude singular so "avocado" and "avocados" meet; leaves words like
+// "hummus", "grass" and "swiss" alone.
+function singular(word) {
+  if (/ies$/.test(word) && word.length > 4) return word.slice(0, -3) + 'y';
+  if (/(ches|shes|xes|sses|oes)$/.test(word)) return word.slice(0, -2);
+  if (/[^su]s$/.test(word) && word.length > 3) return word.slice(0, -1);
+  return word;
+}
+
+function normalizeTerm(term) {
+  return term.toLowerCase().replace(/\s+/g, ' ').trim().split(' ').map(singular).join(' ');
+}
+
+function sourceName(file) {
+  return path.basename(file, path.extname(file));
+}
+
+// Structured sum when both sides measure the same thing; otherwise the
+// display strings are joined and the first list's quantity is kept.
+function combineQty(into, item) {
+  if (!item.qty) return;
+  if (!into.qty) {
+    into.quantity = item.quantity;
+    into.qty = item.qty;
+    return;
+  }
+  const sum = into.quantity && item.quantity && addQuantities(into.quantity, item.quantity);
+  if (sum) {
+    into.quantity = sum;
+    into.qty = sum.text;
+  } else {
+    into.qty = `${into.qty} + ${item.qty}`;
+  }
+}
+
+function joinNotes(a, b) {
+  const parts = [a, b].flatMap(n => (n ? n.split('; ') : []));
+  return [...new Set(parts)].join('; ');
+}
+
+// lists: [{ source, items, directives }] → { items, directives }
+// Items and directives are copied and tagged with `sources` / `source`.
+function combineLists(lists) {
+  const byTerm = new Map();
+  const items = [];
+  const directives = [];
+
+  for (const list of lists) {
+    for (const item of list.items) {
+      const key = normalizeTerm(item.lookupTerm);
+      const prev = byTerm.get(key);
+      if (!prev) {
+        const copy = { ...item, sources: [list.source] };
+        byTerm.set(key, copy);
+        items.push(copy);
+        continue;
+      }
+      combineQty(prev, item);
+      prev.notes = joinNotes(prev.notes, item.notes);
+      if (item.maxPrice != null && !(prev.maxPrice <= item.maxPrice)) prev.maxPrice = item.maxPrice;
+      if (!prev.sources.includes(list.source)) prev.sources.push(list.source);
+    }
+    for (const d of list.directives || []) directives.push({ ...d, source: list.source });
+  }
+
+  return { items, directives };
+}
+
+module.exports = { combineLists, normalizeTerm, sourceName };
@@ -0,0 +1,55 @@
+// ============================================================
+// HTTP Fixtures — record API responses, replay them offline
+// ============================================================
+// `--record=DIR` saves every successful API response as one JSON file;
+// `--replay=DIR` answers requests from those files and never touches
+// the network. One file per request path (relative to the API base,
+// so fixtures work against any endpoint):
+//
+//   DIR/multisearch-black-beans-3f9c2a1e.json
+//   {
+//     "path": "/stores/592/multisearch?q=black%20beans&take=8",
+//     "body": { ...response JSON... }
+//   }
+//
+// The readable slug is for humans; the hash of the full path is what
+// makes the name unique.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function fixtureName(urlPath) {
+  const u = new URL(urlPath, 'http://fixture');
+  const endpoint = u.pathname.split('/').filter(Boolean).pop() || 'root';
+  const query = u.searchParams.get('q') || '';
+  const slug = [/^\d+$/.test(endpoint) ? 'product' : endpoint, query || endpoint]
+    .join('-')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+  const hash = crypto.createHash('sha1').update(urlPath).digest('hex').slice(0, 8);
+  return `${slug}-${hash}.json`;
+}
+
+function saveFixture(dir, urlPath, body) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, fixtureName(urlPath));
+  fs.writeFileSync(file, JSON.stringify({ path: urlPath, body }, null, 2) + '\n', 'utf-8');
+}
+
+// A missing fixture is a non-transient error, so a replay run reports
+// it as an API error rather than a real "not found".
+function loadFixture(dir, urlPath) {
+  const file = path.join(dir, fixtureName(urlPath));
+  if (!fs.existsSync(file)) {
+    const err = new Error(`No fixture for ${urlPath} (expected ${file})`);
+    err.status = null;
+    err.transient = false;
+    throw err;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf-8')).body;
+}
+
+module.exports = { fixtureName, saveFixture, loadFixture };
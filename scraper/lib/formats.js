@@ -0,0 +1,237 @@
+// ============================================================
+// Output Formats — markdown, json, csv, html, text
+// ============================================================
+// Selected with `--format=` (markdown is the default). Every renderer
+// takes the same opts and returns the file contents as a string:
+//
+//   { groups, directives, store, now, sourceName, rawText, dropped, oftenBought, route }
+//
+//   markdown — checkbox list, original input folded at the bottom
+//   json     — every parsed and looked-up field, plus the directives
+//              with their aisle and ideas
+//   csv      — one row per item, in walk order, for spreadsheets
+//   html     — one printable page, aisles flowing in columns
+//   text     — plain checklist for email or a text message
+
+const {
+  renderMarkdown, itemPlace, listTitle, headerText, alternativesText, oftenBoughtLine, promptLine, unplacedPrompts,
+  OFTEN_BOUGHT_HEADING, SUGGESTIONS_HEADING,
+} = require('./markdown');
+const { isLowConfidence } = require('./matcher');
+const { describeRoute } = require('./route');
+const { priceText, formatPrice, tripTotal, totalText } = require('./prices');
+
+// ---- Plain-text item: "Berries ×2 — ISLAND 1 (under $5) [override]" ----
+function plainItem(item) {
+  let line = item.name;
+  if (item.qty) line += ` ×${item.qty}`;
+  if (itemPlace(item)) line += ` — ${itemPlace(item)}`;
+  if (item.notes) line += ` (${item.notes})`;
+  if (priceText(item)) line += ` · ${priceText(item)}`;
+  if (item.overBudget) line += ` (nothing under ${formatPrice(item.maxPrice)})`;
+  if (item.override) line += ' [override]';
+  else if (item.alias) line += ` [alias: ${item.alias}]`;
+  if (isLowConfidence(item)) line += ` (verify: ${item.product})`;
+  if (item.sectionCheck === 'fallback') line += ` [from your list: ${headerText(item)}]`;
+  else if (item.sectionCheck === 'conflict') line += ` (your list: ${headerText(item)})`;
+  if (item.added) line += ' [new]';
+  if (item.sources) line += ` {${item.sources.join(', ')}}`;
+  if (alternativesText(item)) line += ` (${alternativesText(item)})`;
+  return line;
+}
+
+// ---- JSON ----
+function renderJson(opts) {
+  const doc = {
+    title: listTitle(opts.now),
+    store: opts.store,
+    generatedAt: opts.now.toISOString(),
+    source: opts.sourceName,
+    route: opts.route ? {
+      strategy: opts.route.strategy,
+      description: describeRoute(opts.route),
+      stops: opts.route.order || null,
+      distance: opts.route.distance ?? null,
+    } : null,
+    total: tripTotal(opts.groups),
+    groups: opts.groups.map(g => ({ aisle: g.aisle, items: g.items.map(item => ({ ...item })) })),
+    directives: (opts.directives || []).map(d => ({
+      directive: d.directive,
+      section: d.section,
+      category: d.category,
+      aisle: d.aisle || null,
+      ideas: d.ideas || [],
+      raw: d.raw,
+    })),
+    oftenBought: opts.oftenBought || [],
+  };
+  return JSON.stringify(doc, null, 2) + '\n';
+}
+
+// ---- CSV (RFC 4180 quoting) ----
+const CSV_COLUMNS = [
+  'aisle', 'bay', 'name', 'qty', 'qtyMin', 'qtyMax', 'unit', 'package',
+  'notes', 'lookupTerm', 'alternatives', 'brand', 'variety', 'storeBrandOk',
+  'category', 'section', 'sectionCheck', 'product', 'confidence',
+  'price', 'regularPrice', 'size', 'sale', 'promo', 'maxPrice', 'overBudget', 'sources',
+];
+
+function csvField(value) {
+  const s = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function renderCsv(opts) {
+  const rows = [CSV_COLUMNS.join(',')];
+  for (const group of opts.groups) {
+    for (const item of group.items) {
+      const q = item.quantity || {};
+      const row = {
+        ...item,
+        aisle: group.aisle,
+        qtyMin: q.min, qtyMax: q.max, unit: q.unit, package: q.package,
+        alternatives: alternativesText(item),
+        sources: (item.sources || []).join('; '),
+      };
+      rows.push(CSV_COLUMNS.map(col => csvField(row[col])).join(','));
+    }
+  }
+  return rows.join('\r\n') + '\r\n';
+}
+
+// ---- Printable HTML ----
+function escapeHtml(s) {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const HTML_STYLE = `
+  body { font: 11pt/1.35 system-ui, sans-serif; margin: 1.5em; }
+  h1 { font-size: 15pt; margin: 0; }
+  .store { margin: 0.2em 0 1em; color: #444; }
+  .aisles { column-count: 3; column-gap: 1.5em; }
+  section { break-inside: avoid; margin-bottom: 0.9em; }
+  h2 { font-size: 11pt; margin: 0 0 0.2em; border-bottom: 1px solid #999; }
+  ul { list-style: none; margin: 0; padding: 0; }
+  li::before { content: "\\2610\\00a0"; }
+  li.prompt { font-style: italic; }
+  li.prompt::before { content: "\\2192\\00a0"; }
+  .bay, .note { color: #555; font-size: 9.5pt; }
+  .src { color: #777; font-size: 8pt; }
+  .verify { font-weight: bold; }
+  .price { color: #333; font-size: 9.5pt; }
+  .suggestions { margin-top: 1em; font-style: italic; }
+  .often { margin-top: 1em; color: #444; }
+  @media print { body { margin: 0; } }
+`;
+
+function htmlItem(item) {
+  let html = escapeHtml(item.name);
+  if (item.qty) html += ` ×${escapeHtml(item.qty)}`;
+  if (itemPlace(item)) html += ` <span class="bay">— ${escapeHtml(itemPlace(item))}</span>`;
+  if (item.notes) html += ` <span class="note">(${escapeHtml(item.notes)})</span>`;
+  if (priceText(item)) html += ` <span class="price">${escapeHtml(priceText(item))}</span>`;
+  if (item.overBudget) html += ` <span class="verify">(nothing under ${formatPrice(item.maxPrice)})</span>`;
+  if (isLowConfidence(item)) html += ` <span class="verify">(verify: ${escapeHtml(item.product)})</span>`;
+  if (item.sectionCheck === 'fallback') html += ` <span class="note">[from your list: ${escapeHtml(headerText(item))}]</span>`;
+  else if (item.sectionCheck === 'conflict') html += ` <span class="verify">(your list: ${escapeHtml(headerText(item))})</span>`;
+  if (item.sources) html += ` <span class="src">${escapeHtml(item.sources.join(', '))}</span>`;
+  if (alternativesText(item)) html += ` <span class="note">(${escapeHtml(alternativesText(item))})</span>`;
+  return `<li>${html}</li>`;
+}
+
+function renderHtml(opts) {
+  const title = listTitle(opts.now);
+  const lines = [];
+  lines.push('<!DOCTYPE html>');
+  lines.push('<html lang="en">');
+  lines.push('<head>');
+  lines.push('<meta charset="utf-8">');
+  lines.push(`<title>${escapeHtml(title)}</title>`);
+  lines.push(`<style>${HTML_STYLE}</style>`);
+  lines.push('</head>');
+  lines.push('<body>');
+  lines.push(`<h1>${escapeHtml(title)}</h1>`);
+  lines.push(`<p class="store">${escapeHtml(opts.store)}</p>`);
+  if (opts.route) lines.push(`<p class="store">Route: ${escapeHtml(describeRoute(opts.route))}</p>`);
+  if (totalText(opts.groups)) lines.push(`<p class="store">Estimated total: ${escapeHtml(totalText(opts.groups))}</p>`);
+  lines.push('<div class="aisles">');
+  for (const group of opts.groups) {
+    lines.push(`<section><h2>${escapeHtml(group.aisle)}</h2><ul>`);
+    for (const item of group.items) lines.push(htmlItem(item));
+    for (const d of group.prompts || []) lines.push(`<li class="prompt">${escapeHtml(promptLine(d, group.aisle))}</li>`);
+    lines.push('</ul></section>');
+  }
+  lines.push('</div>');
+  const unplaced = unplacedPrompts(opts.directives);
+  if (unplaced.length) {
+    lines.push(`<div class="suggestions"><b>${escapeHtml(SUGGESTIONS_HEADING)}:</b>`);
+    for (const d of unplaced) lines.push(`<p>${escapeHtml(promptLine(d))}</p>`);
+    lines.push('</div>');
+  }
+  const often = opts.oftenBought || [];
+  if (often.length) {
+    lines.push(`<p class="often"><b>${escapeHtml(OFTEN_BOUGHT_HEADING)}:</b> ${often.map(s => escapeHtml(oftenBoughtLine(s))).join(', ')}</p>`);
+  }
+  lines.push('</body>');
+  lines.push('</html>');
+  lines.push('');
+  return lines.join('\n');
+}
+
+// ---- Plain text ----
+function renderText(opts) {
+  const lines = [listTitle(opts.now), `Store: ${opts.store}`];
+  if (opts.route) lines.push(`Route: ${describeRoute(opts.route)}`);
+  if (totalText(opts.groups)) lines.push(`Estimated total: ${totalText(opts.groups)}`);
+  lines.push('');
+  for (const group of opts.groups) {
+    lines.push(group.aisle.toUpperCase());
+    for (const item of group.items) lines.push(`  [${item.checked ? 'x' : ' '}] ${plainItem(item)}`);
+    for (const d of group.prompts || []) lines.push(`  -> ${promptLine(d, group.aisle)}`);
+    lines.push('');
+  }
+  const unplaced = unplacedPrompts(opts.directives);
+  if (unplaced.length) {
+    lines.push(`${SUGGESTIONS_HEADING}:`);
+    for (const d of unplaced) lines.push(`  - ${promptLine(d)}`);
+    lines.push('');
+  }
+  const often = opts.oftenBought || [];
+  if (often.length) {
+    lines.push(`${OFTEN_BOUGHT_HEADING}:`);
+    for (const s of often) lines.push(`  - ${oftenBoughtLine(s)}`);
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+// format name → { ext, render }
+const FORMATS = {
+  markdown: { ext: 'md',   render: renderMarkdown },
+  json:     { ext: 'json', render: renderJson },
+  csv:      { ext: 'csv',  render: renderCsv },
+  html:     { ext: 'html', render: renderHtml },
+  text:     { ext: 'txt',  render: renderText },
+};
+
+function getFormat(name) {
+  const format = FORMATS[name];
+  if (!format) {
+    throw new Error(`Unknown format "${name}" (expected ${Object.keys(FORMATS).join(', ')})`);
+  }
+  return format;
+}
+
+module.exports = {
+  FORMATS,
+  getFormat,
+  renderJson,
+  renderCsv,
+  renderHtml,
+  renderText,
+  plainItem,
+};
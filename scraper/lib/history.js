@@ -0,0 +1,243 @@
+// ============================================================
+// Trip History — scraper/history.json, one record per trip file
+// ============================================================
+//
+//   {
+//     "trips": [
+//       {
+//         "file": "/home/me/lists/2026-Feb-14.md",
+//         "date": "2026-02-14T22:00:00.000Z",
+//         "storeId": "592",
+//         "items": [
+//           { "name": "Milk", "qty": "", "lookupTerm": "milk",
+//             "aisle": "Dairy", "bay": "BACK WALL", "product": "ShopRite Whole Milk",
+//             "price": null, "checked": true, "category": null,
+//             "section": "Aisle 4", "sectionUncertain": true, "sectionCheck": "conflict" }
+//         ]
+//       }
+//     ]
+//   }
+//
+// Re-running a trip replaces its record. `checked` starts as whatever
+// the checklist said when the file was written and is refreshed from
+// the markdown file (while it still exists) whenever history loads.
+//
+// Items are grouped across trips by their lookupTerm, normalized the
+// same way combining lists does ("black beans" = "Black bean").
+//
+// sectionCheck records whether the store agreed with the writer's
+// section header ('agree' / 'conflict'); sectionWeights() turns that
+// track record into how much headers count when scoring matches.
+
+const fs = require('fs');
+const { normalizeTerm } = require('./combine');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ---- Suggestion tuning ----
+const RECENT_TRIPS = 8;        // look at the last 8 trips...
+const OFTEN_SHARE = 0.5;       // ...for items on at least half of them
+const MIN_TRIPS = 3;           // and never from fewer than 3 trips
+const MAX_SUGGESTIONS = 5;
+
+// ---- Header trust: every header starts as if right PRIOR_RIGHT times;
+// hedged ones ("Aisle 4 (I think)") count half as much ----
+const PRIOR_RIGHT = 4;
+const HEDGED_FACTOR = 0.5;
+
+// file === null gives an in-memory history that is never saved
+function loadHistory(file) {
+  let data = { trips: [] };
+  if (file && fs.existsSync(file)) {
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (err) {
+      throw new Error(`Invalid history file ${file}: ${err.message}`);
+    }
+    if (!data || !Array.isArray(data.trips)) {
+      throw new Error(`Invalid history file ${file}: "trips" must be an array`);
+    }
+  }
+  return { file, trips: data.trips, changed: false };
+}
+
+function saveHistory(history) {
+  if (!history.file || !history.changed) return;
+  fs.writeFileSync(history.file, JSON.stringify({ trips: history.trips }, null, 2) + '\n', 'utf-8');
+  history.changed = false;
+}
+
+// trip: { file, date, storeId, items } — items as resolved for output
+function recordTrip(history, trip) {
+  const record = {
+    file: trip.file,
+    date: trip.date,
+    storeId: String(trip.storeId),
+    items: trip.items.map(it => ({
+      name: it.name,
+      qty: it.qty || '',
+      lookupTerm: it.lookupTerm,
+      aisle: it.aisle || 'Unknown',
+      bay: it.bay || '',
+      product: it.product || null,
+      price: it.price ?? null,
+      checked: !!it.checked,
+      category: it.category || null,
+      section: it.section || null,
+      sectionUncertain: !!it.sectionUncertain,
+      sectionCheck: it.sectionCheck || null,
+    })),
+  };
+  history.trips = history.trips.filter(t => t.file !== trip.file);
+  history.trips.push(record);
+  history.trips.sort((a, b) => Date.parse(a.date) - Date.parse(b.date));
+  history.changed = true;
+  return record;
+}
+
+// Pull ticks back from trip files that still exist.
+// readChecked(file) → Map(name key → checked), or null if unreadable.
+function refreshChecked(history, readChecked) {
+  for (const trip of history.trips) {
+    const checked = readChecked(trip.file);
+    if (!checked) continue;
+    for (const item of trip.items) {
+      const key = item.name.toLowerCase().replace(/\s+/g, ' ').trim();
+      if (checked.has(key) && checked.get(key) !== item.checked) {
+        item.checked = checked.get(key);
+        history.changed = true;
+      }
+    }
+  }
+}
+
+// term → [{ trip, item }] in trip order
+function byTerm(trips) {
+  const terms = new Map();
+  for (const trip of trips) {
+    const seen = new Set();
+    for (const item of trip.items) {
+      const key = normalizeTerm(item.lookupTerm);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      if (!terms.has(key)) terms.set(key, []);
+      terms.get(key).push({ trip, item });
+    }
+  }
+  return terms;
+}
+
+// "Often bought, not on this list": frequent items from recent trips
+// (other than `excludeFile`, the trip being regenerated) missing from items.
+function oftenBought(history, items, { excludeFile = null } = {}) {
+  const recent = history.trips.filter(t => t.file !== excludeFile).slice(-RECENT_TRIPS);
+  if (recent.length < MIN_TRIPS) return [];
+
+  const onList = new Set(items.map(it => normalizeTerm(it.lookupTerm)));
+  const out = [];
+  for (const [key, seen] of byTerm(recent)) {
+    if (onList.has(key) || seen.length / recent.length < OFTEN_SHARE) continue;
+    const last = seen[seen.length - 1].item;
+    out.push({ name: last.name, lookupTerm: last.lookupTerm, aisle: last.aisle, count: seen.length, of: recent.length });
+  }
+  return out.sort((a, b) => b.count - a.count).slice(0, MAX_SUGGESTIONS);
+}
+
+// Things bought before in an aisle or category, most often first —
+// ideas for an open request (lib/suggestions.js).
+// → [{ name, aisle, bay, count }]
+function pastItems(history, { aisle = null, category = null } = {}) {
+  const cat = category && category.toLowerCase();
+  const out = [];
+  for (const seen of byTerm(history.trips).values()) {
+    const last = seen[seen.length - 1].item;
+    const inAisle = aisle && last.aisle === aisle;
+    const inCategory = cat && (last.category || '').toLowerCase() === cat;
+    if (inAisle || inCategory) out.push({ name: last.name, aisle: last.aisle, bay: last.bay, count: seen.length });
+  }
+  return out.sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+// How often headers matched the store → { sure, hedged }, each
+// { right, wrong }
+function headerAccuracy(history) {
+  const tally = { sure: { right: 0, wrong: 0 }, hedged: { right: 0, wrong: 0 } };
+  for (const trip of history.trips) {
+    for (const item of trip.items) {
+      const t = item.sectionUncertain ? tally.hedged : tally.sure;
+      if (item.sectionCheck === 'agree') t.right++;
+      else if (item.sectionCheck === 'conflict') t.wrong++;
+    }
+  }
+  return tally;
+}
+
+// Section-score weights (0..1) for lib/matcher.js: { sure, hedged }
+function sectionWeights(history) {
+  const acc = headerAccuracy(history);
+  const share = ({ right, wrong }) => (right + PRIOR_RIGHT) / (right + wrong + PRIOR_RIGHT);
+  return { sure: share(acc.sure), hedged: share(acc.hedged) * HEDGED_FACTOR };
+}
+
+// ---- `shop.js history` report ----
+// { trips, mostBought, changes, notSeen, headers }
+//   mostBought — [{ name, trips, ticked, lastDate }] most trips first
+//   changes    — [{ name, storeId, kind: 'aisle'|'price', steps: [{ date, value }] }]
+//   notSeen    — [{ name, trips, lastDate, days }] bought 2+ times, absent staleDays+
+//   headers    — headerAccuracy()
+function historyReport(history, { top = 10, staleDays = 30, now = Date.now() } = {}) {
+  const terms = byTerm(history.trips);
+
+  const mostBought = [...terms.values()]
+    .map(seen => ({
+      name: seen[seen.length - 1].item.name,
+      trips: seen.length,
+      ticked: seen.filter(s => s.item.checked).length,
+      lastDate: seen[seen.length - 1].trip.date,
+    }))
+    .sort((a, b) => b.trips - a.trips || a.name.localeCompare(b.name))
+    .slice(0, top);
+
+  const changes = [];
+  for (const seen of terms.values()) {
+    const name = seen[seen.length - 1].item.name;
+    const stores = [...new Set(seen.map(s => s.trip.storeId))];
+    for (const storeId of stores) {
+      const atStore = seen.filter(s => s.trip.storeId === storeId);
+      for (const kind of ['aisle', 'price']) {
+        const steps = [];
+        for (const { trip, item } of atStore) {
+          const value = kind === 'aisle'
+            ? (item.aisle === 'Unknown' ? null : [item.aisle, item.bay].filter(Boolean).join(' '))
+            : item.price;
+          if (value === null || value === undefined) continue;
+          if (!steps.length || steps[steps.length - 1].value !== value) steps.push({ date: trip.date, value });
+        }
+        if (steps.length > 1) changes.push({ name, storeId, kind, steps });
+      }
+    }
+  }
+
+  const notSeen = [...terms.values()]
+    .filter(seen => seen.length >= 2)
+    .map(seen => {
+      const lastDate = seen[seen.length - 1].trip.date;
+      return { name: seen[seen.length - 1].item.name, trips: seen.length, lastDate, days: Math.floor((now - Date.parse(lastDate)) / DAY_MS) };
+    })
+    .filter(e => e.days >= staleDays)
+    .sort((a, b) => b.days - a.days || a.name.localeCompare(b.name));
+
+  return { trips: history.trips.length, mostBought, changes, notSeen, headers: headerAccuracy(history) };
+}
+
+module.exports = {
+  loadHistory,
+  saveHistory,
+  recordTrip,
+  refreshChecked,
+  oftenBought,
+  historyReport,
+  pastItems,
+  headerAccuracy,
+  sectionWeights,
+};
@@ -0,0 +1,223 @@
+// ============================================================
+// Markdown Writer — walk-ordered checklist
+// ============================================================
+// groupByAisle() buckets resolved items by aisle in the store's walk
+// order; renderMarkdown() turns those groups into the checklist file.
+// Both are pure (the clock is passed in) so tests can pin the output.
+
+const { isLowConfidence } = require('./matcher');
+const { DROPPED_HEADING } = require('./checklist');
+const { compareBays, bayOrderFor } = require('./bays');
+const { describeRoute } = require('./route');
+const { priceText, formatPrice, totalText } = require('./prices');
+
+const MONTHS_FULL = ['January', 'February', 'March', 'April', 'May', 'June',
+                     'July', 'August', 'September', 'October', 'November', 'December'];
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const STAPLES_GROUP = 'Staples';
+const OFTEN_BOUGHT_HEADING = 'Often bought, not on this list';
+const SUGGESTIONS_HEADING = 'Suggestions';
+
+// Aisles missing from the walk order sort just before Unknown (99).
+// Within an aisle, items go in bay order (lib/bays.js) — bayOrder is
+// the store profile's per-department map. Staples added from
+// lib/staples.js come first in their own group, in walk order.
+// prompts are directives placed by lib/suggestions.js: each joins its
+// aisle's group (making one if the aisle has no items); unplaced ones
+// are left for the Suggestions section.
+function groupByAisle(items, walkOrder, bayOrder = {}, prompts = []) {
+  const rank = aisle => walkOrder[aisle] ?? 98;
+  const byBay = (a, b) => compareBays(a.bay, b.bay, bayOrderFor(bayOrder, a.aisle));
+  const groups = {};
+  for (const item of items) {
+    const key = item.staple ? STAPLES_GROUP : item.aisle || 'Unknown';
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(item);
+  }
+  const placed = {};
+  for (const d of prompts) {
+    if (!d.aisle) continue;
+    if (!groups[d.aisle]) groups[d.aisle] = [];
+    if (!placed[d.aisle]) placed[d.aisle] = [];
+    placed[d.aisle].push(d);
+  }
+  for (const [key, group] of Object.entries(groups)) {
+    if (key !== STAPLES_GROUP) group.sort(byBay);
+  }
+  if (groups[STAPLES_GROUP]) {
+    groups[STAPLES_GROUP].sort((a, b) =>
+      rank(a.aisle || 'Unknown') - rank(b.aisle || 'Unknown') ||
+      (a.aisle === b.aisle ? byBay(a, b) : 0));
+  }
+
+  return Object.keys(groups)
+    .sort((a, b) => (a === STAPLES_GROUP ? -1 : b === STAPLES_GROUP ? 1 : rank(a) - rank(b)))
+    .map(aisle => ({ aisle, items: groups[aisle], prompts: placed[aisle] || [] }));
+}
+
+// Where to look: the bay, or for a staple (grouped apart from its
+// aisle) the aisle and bay
+function itemPlace(item) {
+  return item.staple ? [item.aisle, item.bay].filter(Boolean).join(' ') : item.bay;
+}
+
+// "Sugar in the raw — Aisle 9 / organic sugar — Natural" for an "or"
+// item, once any alternative was found; null otherwise
+function alternativesText(item) {
+  const alts = item.alternatives || [];
+  if (!alts.some(a => a.aisle && a.aisle !== 'Unknown')) return null;
+  return alts
+    .map(a => `${a.name} — ${a.aisle === 'Unknown' ? 'not found' : [a.aisle, a.bay].filter(Boolean).join(' ')}`)
+    .join(' / ');
+}
+
+// The writer's section header, "?" when they hedged it
+function headerText(item) {
+  return item.sectionUncertain ? `${item.section}?` : item.section;
+}
+
+// item.checked / item.added come from lib/checklist.js when the run
+// was merged into an existing file; item.sources from lib/combine.js
+// when several lists were combined; item.sectionCheck from the
+// shopper's header check ('fallback' placed it by the header,
+// 'conflict' means the store disagrees with the header); prices and
+// overBudget from lib/prices.js. An "or" item gets an indented line
+// with each alternative's location (readChecklist() skips it).
+function renderItem(item) {
+  let line = `- [${item.checked ? 'x' : ' '}] ${item.name}`;
+  if (item.qty) line += ` ×${item.qty}`;
+  if (itemPlace(item)) line += ` — ${itemPlace(item)}`;
+  if (item.notes) line += ` *(${item.notes})*`;
+  if (priceText(item)) line += ` · ${priceText(item)}`;
+  if (item.overBudget) line += ` **(nothing under ${formatPrice(item.maxPrice)})**`;
+  if (item.override) line += ' *[override]*';
+  else if (item.alias) line += ` *[alias: ${item.alias}]*`;
+  if (isLowConfidence(item)) line += ` **(verify: ${item.product})**`;
+  if (item.sectionCheck === 'fallback') line += ` *[from your list: ${headerText(item)}]*`;
+  else if (item.sectionCheck === 'conflict') line += ` **(your list: ${headerText(item)})**`;
+  if (item.added) line += ' *[new]*';
+  if (item.sources) line += ` <sub>${item.sources.join(', ')}</sub>`;
+  if (alternativesText(item)) line += `\n  - ${alternativesText(item)}`;
+  return line;
+}
+
+// "Shopping List — February 14, 2026 Sat 22:00"
+function listTitle(now) {
+  const hh = String(now.getHours()).padStart(2, '0');
+  const nn = String(now.getMinutes()).padStart(2, '0');
+  return `Shopping List — ${MONTHS_FULL[now.getMonth()]} ${now.getDate()}, ${now.getFullYear()} ${DAYS[now.getDay()]} ${hh}:${nn}`;
+}
+
+// "Eggs — Dairy (6 of last 8 trips)" for a lib/history.js suggestion
+function oftenBoughtLine(s) {
+  const where = s.aisle && s.aisle !== 'Unknown' ? ` — ${s.aisle}` : '';
+  return `${s.name}${where} (${s.count} of last ${s.of} trips)`;
+}
+
+// "Freezer section: surprise us. — ideas: Talenti Gelato (Frozen 3),
+// Halo Top (bought before)" for a directive; an idea's aisle is left
+// out when it's the group the prompt sits in. The category ("Cold
+// cuts") labels it when there is one, else the section header.
+function promptLine(d, groupAisle = null) {
+  const label = d.category || d.section;
+  let line = label ? `${label}: ${d.directive}` : d.directive;
+  const ideas = (d.ideas || []).map(idea => {
+    const place = idea.aisle === groupAisle ? idea.bay : [idea.aisle, idea.bay].filter(Boolean).join(' ');
+    const notes = [place, idea.from === 'history' ? 'bought before' : ''].filter(Boolean);
+    return notes.length ? `${idea.name} (${notes.join(', ')})` : idea.name;
+  });
+  if (ideas.length) line += ` — ideas: ${ideas.join(', ')}`;
+  return line;
+}
+
+// Directives that didn't land in an aisle group
+function unplacedPrompts(directives) {
+  return (directives || []).filter(d => !d.aisle);
+}
+
+// ---- Original list ----
+// Last week's trip file can be the input (lib/nlp-parser.js); its own
+// folded original list is dropped rather than nested again, and the
+// fence outgrows any backtick run left in the text.
+const ORIGINAL_LIST_RE = /^---\n<details><summary>Original list[^\n]*\n[\s\S]*?^<\/details>$/gm;
+
+function fenceFor(text) {
+  const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  return '`'.repeat(Math.max(3, longest + 1));
+}
+
+// opts: { groups, store, now, sourceName, rawText, directives, dropped, oftenBought, route }
+//   store       — header text, e.g. "ShopRite #592 — South Plainfield, NJ"
+//   directives  — open requests; placed ones are already in groups
+//                 (group.prompts), the rest go under Suggestions
+//   dropped     — items no longer on the list (lib/checklist.js), if any
+//   oftenBought — suggestions from lib/history.js, if any
+//   route       — from shopper.route(); adds the "Route:" line
+// The "Estimated total:" line appears once any item has a price.
+
+function renderMarkdown(opts) {
+  const lines = [];
+  lines.push(`# ${listTitle(opts.now)}`);
+  lines.push(`**Store:** ${opts.store}`);
+  if (opts.route) lines.push(`**Route:** ${describeRoute(opts.route)}`);
+  if (totalText(opts.groups)) lines.push(`**Estimated total:** ${totalText(opts.groups)}`);
+  lines.push('');
+
+  for (const group of opts.groups) {
+    lines.push(`## ${group.aisle}`);
+    for (const item of group.items) lines.push(renderItem(item));
+    for (const d of group.prompts || []) lines.push(`- *Suggestion:* ${promptLine(d, group.aisle)}`);
+    lines.push('');
+  }
+
+  // Plain bullets, not checkboxes — readChecklist() skips them
+  const unplaced = unplacedPrompts(opts.directives);
+  if (unplaced.length) {
+    lines.push(`## ${SUGGESTIONS_HEADING}`);
+    for (const d of unplaced) lines.push(`- ${promptLine(d)}`);
+    lines.push('');
+  }
+
+  if (opts.oftenBought && opts.oftenBought.length) {
+    lines.push(`## ${OFTEN_BOUGHT_HEADING}`);
+    for (const s of opts.oftenBought) lines.push(`- ${oftenBoughtLine(s)}`);
+    lines.push('');
+  }
+
+  if (opts.dropped && opts.dropped.length) {
+    lines.push(`## ${DROPPED_HEADING}`);
+    for (const d of opts.dropped) lines.push(`- [${d.checked ? 'x' : ' '}] ~~${d.line}~~`);
+    lines.push('');
+  }
+
+  // ---- Append original input (compressed vertical space) ----
+  lines.push('---');
+  lines.push(`<details><summary>Original list (${opts.sourceName})</summary>`);
+  lines.push('');
+  const original = opts.rawText.replace(ORIGINAL_LIST_RE, '').replace(/\n{3,}/g, '\n\n').trim();
+  const fence = fenceFor(original);
+  lines.push(fence);
+  lines.push(original);
+  lines.push(fence);
+  lines.push('</details>');
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  groupByAisle,
+  renderMarkdown,
+  renderItem,
+  itemPlace,
+  listTitle,
+  headerText,
+  alternativesText,
+  oftenBoughtLine,
+  promptLine,
+  unplacedPrompts,
+  STAPLES_GROUP,
+  OFTEN_BOUGHT_HEADING,
+  SUGGESTIONS_HEADING,
+};
@@ -0,0 +1,237 @@
+// ============================================================
+// Search Candidate Matcher
+// ============================================================
+// multisearch returns several products per query, and the first one
+// isn't always the item the list meant ("honey ham" → some unrelated
+// aisle). Each candidate is scored against the parsed item:
+//
+//   name     — how well the product name covers the lookup term
+//   category — parser category ("Cold cuts", "Fruits") vs the
+//              product's categories / department
+//   section  — the shopper's own section header ("Aisle 2",
+//              "Freezer section") vs the product's aisle, weighted
+//              by context.sectionWeight (0..1, default 1) — hedged
+//              headers and ones that have been wrong count for less
+//
+// Missing evidence scores neutral, so a plain "butter" line is
+// judged on name alone. The weighted total doubles as a 0..1
+// confidence; anything under LOW_CONFIDENCE is flagged for review.
+//
+// A price ceiling from the item's notes (context.maxPrice, "under $5")
+// isn't scored: candidates over it just sort after those within it.
+// Neither is the item's brand (context.brand, "Pillsbury"): products
+// from it get BRAND_BONUS when candidates are ordered, and store brands
+// get the smaller STORE_BRAND_BONUS when the list says they're fine
+// (context.storeBrandOk).
+
+const { overBudget } = require('./prices');
+
+const WEIGHTS = { name: 0.6, category: 0.2, section: 0.2 };
+const NEUTRAL = 0.5;
+const LOW_CONFIDENCE = 0.5;
+const BRAND_BONUS = 0.15;
+const STORE_BRAND_BONUS = 0.1;
+
+// ---- The store's own labels ----
+const STORE_BRANDS = ['shoprite', 'bowl & basket', 'wholesome pantry', 'paperbird'];
+
+// ---- Parser category words → words that show up in store categories ----
+const CATEGORY_HINTS = [
+  { re: /\bfruits?\b/i,              words: ['fruit', 'produce'] },
+  { re: /\b(veggies|vegetables?)\b/i, words: ['vegetable', 'produce'] },
+  { re: /\bherbs?\b/i,               words: ['herb', 'produce', 'spice'] },
+  { re: /\bcereal\b/i,               words: ['cereal', 'breakfast'] },
+  { re: /\bcold\s*cuts?\b/i,         words: ['deli', 'lunch', 'cold cut', 'cheese'] },
+  { re: /\bsnacks?\b/i,              words: ['snack', 'chip', 'cracker'] },
+  { re: /\b(drinks?|beverages?)\b/i, words: ['beverage', 'drink', 'soda', 'juice', 'water'] },
+  { re: /\bmeats?\b/i,               words: ['meat', 'beef', 'pork', 'poultry', 'chicken'] },
+  { re: /\bdairy\b/i,                words: ['dairy', 'milk', 'cheese', 'yogurt', 'egg'] },
+  { re: /\bfrozen\b/i,               words: ['frozen'] },
+  { re: /\bbread\b/i,                words: ['bread', 'bakery'] },
+  { re: /\bcondiments?\b/i,          words: ['condiment', 'sauce', 'dressing', 'ketchup', 'mustard'] },
+  { re: /\bspices?\b/i,              words: ['spice', 'seasoning'] },
+];
+
+// ---- Section headers → aisles they point at ----
+const SECTION_HINTS = [
+  { re: /^(freezer|frozen)\s+section/i, aisles: ['Frozen'] },
+  { re: /^dairy\s+section/i,            aisles: ['Dairy'] },
+  { re: /^deli\s+section/i,             aisles: ['Deli'] },
+  { re: /^produce\s+section/i,          aisles: ['Produce'] },
+  { re: /^bakery\s+section/i,           aisles: ['Bakery', 'Bread'] },
+  { re: /^meat\s+section/i,             aisles: ['Meat'] },
+  { re: /^(across\s+back|back\s+of)/i,  aisles: ['Backwall', 'Deli', 'Meat', 'Seafood', 'Dairy'] },
+];
+
+// Lowercase word tokens with a naive singular form ("avocados" → "avocado").
+function tokenize(text) {
+  return (text || '').toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(w => (w.length > 3 && w.endsWith('s') && !w.endsWith('ss') ? w.slice(0, -1) : w));
+}
+
+// Share of lookup-term words found in the product name, nudged down
+// for long product names that merely contain the term.
+function scoreName(term, productName) {
+  const termTokens = tokenize(term);
+  const nameTokens = new Set(tokenize(productName));
+  if (!termTokens.length || !nameTokens.size) return 0;
+  const hits = termTokens.filter(t => nameTokens.has(t)).length;
+  const coverage = hits / termTokens.length;
+  const precision = hits / nameTokens.size;
+  return coverage * (0.75 + 0.25 * precision);
+}
+
+// Whatever category text the product record carries.
+function productCategoryText(product) {
+  const parts = [];
+  const collect = (v) => {
+    if (!v) return;
+    if (typeof v === 'string') parts.push(v);
+    else if (Array.isArray(v)) v.forEach(collect);
+    else if (typeof v === 'object') collect(v.category || v.name || v.categoryName);
+  };
+  collect(product.defaultCategory);
+  collect(product.categories);
+  collect(product.category);
+  return parts.join(' ').toLowerCase();
+}
+
+// Ordering bonus for the product's brand: BRAND_BONUS when it's the
+// item's brand, STORE_BRAND_BONUS for a store brand the list allows
+// (with or without a brand named), so a named brand still comes first
+function brandBonus(productName, context) {
+  if (context.brand) {
+    const nameTokens = new Set(tokenize(productName));
+    if (tokenize(context.brand).every(t => nameTokens.has(t))) return BRAND_BONUS;
+  }
+  const lower = (productName || '').toLowerCase();
+  return context.storeBrandOk && STORE_BRANDS.some(b => lower.startsWith(b)) ? STORE_BRAND_BONUS : 0;
+}
+
+// Ordering key: the score, plus the brand bonus
+function rankScore(candidate, context) {
+  return candidate.score + brandBonus(candidate.name, context);
+}
+
+function scoreCategory(category, categoryText) {
+  if (!category || !categoryText) return NEUTRAL;
+  const hint = CATEGORY_HINTS.find(h => h.re.test(category));
+  if (!hint) return NEUTRAL;
+  return hint.words.some(w => categoryText.includes(w)) ? 1 : 0;
+}
+
+// Aisles a section header points at ("Aisle 4" → ["Aisle 4"]), or
+// null when it doesn't name a place ("Last aisle")
+function sectionAisles(section) {
+  if (!section) return null;
+  const aisleMatch = section.match(/^aisle\s+(\d+)/i);
+  if (aisleMatch) return [`Aisle ${parseInt(aisleMatch[1], 10)}`];
+  const hint = SECTION_HINTS.find(h => h.re.test(section));
+  return hint ? hint.aisles : null;
+}
+
+// 1 / 0 for agreement, pulled toward neutral as the weight drops
+function scoreSection(section, aisle, weight = 1) {
+  const aisles = sectionAisles(section);
+  if (!aisles || !aisle || aisle === 'Unknown') return NEUTRAL;
+  const agrees = aisles.includes(aisle) ? 1 : 0;
+  return NEUTRAL + (agrees - NEUTRAL) * weight;
+}
+
+// First pass, before any product detail is fetched: name + category,
+// ordered with the brand bonus. Returns candidates best-first; search
+// rank breaks ties.
+function rankCandidates(products, term, context = {}) {
+  return products
+    .filter(p => p && p.sku)
+    .map((product, rank) => {
+      const name = product.name || product.description || '';
+      const categoryText = productCategoryText(product);
+      return {
+        sku: product.sku,
+        name,
+        rank,
+        categoryText,
+        nameScore: scoreName(term, name),
+        location: null,
+      };
+    })
+    .map(c => ({ ...c, score: score(c, context) }))
+    .sort((a, b) => rankScore(b, context) - rankScore(a, context) || a.rank - b.rank);
+}
+
+function score(candidate, context) {
+  const aisle = candidate.location ? candidate.location.aisle : null;
+  // Once a department is known it counts as category evidence too
+  const categoryText = [candidate.categoryText, aisle && !/^Aisle \d/.test(aisle) ? aisle.toLowerCase() : '']
+    .filter(Boolean).join(' ');
+  return WEIGHTS.name * candidate.nameScore +
+    WEIGHTS.category * scoreCategory(context.category, categoryText) +
+    WEIGHTS.section * scoreSection(context.section, aisle, context.sectionWeight ?? 1);
+}
+
+// Second pass, once locations (and prices) are attached: re-score
+// with the shopper's section header. Returns only candidates with a
+// location, best-first (brand counted) with any over the price ceiling
+// last, each carrying a rounded 0..1 confidence.
+function rankLocated(candidates, context = {}) {
+  const over = c => (overBudget(c, context.maxPrice) ? 1 : 0);
+  return candidates
+    .filter(c => c.location && c.location.aisle !== 'Unknown')
+    .map(c => {
+      const s = score(c, context);
+      return { ...c, score: s, confidence: Math.round(s * 100) / 100 };
+    })
+    .sort((a, b) => over(a) - over(b) || rankScore(b, context) - rankScore(a, context) || a.rank - b.rank);
+}
+
+// Whether the leader of rankCandidates() is already the pick once its
+// own details are in. The runners-up can only gain on the evidence a
+// location adds — the section header and, from a department, the
+// category — so the leader's located score is checked against the
+// best each runner-up could still reach. With neither in play nothing
+// moves and the first-pass order stands.
+function leaderSettled(candidates, context = {}) {
+  const [leader, ...rest] = candidates;
+  if (!leader || !leader.location || leader.location.aisle === 'Unknown') return false;
+  if (overBudget(leader, context.maxPrice)) return false;
+
+  const sectionNamed = !!sectionAisles(context.section);
+  const categoryHinted = !!context.category && CATEGORY_HINTS.some(h => h.re.test(context.category));
+  if (!sectionNamed && !categoryHinted) return true;
+
+  const lead = rankScore({ ...leader, score: score(leader, context) }, context);
+  const bestSection = sectionNamed ? NEUTRAL + (1 - NEUTRAL) * (context.sectionWeight ?? 1) : NEUTRAL;
+  return rest.every(c => {
+    const reach = WEIGHTS.name * c.nameScore +
+      WEIGHTS.category * (categoryHinted ? 1 : NEUTRAL) +
+      WEIGHTS.section * bestSection;
+    return lead > reach + brandBonus(c.name, context);
+  });
+}
+
+// Best located candidate, or null when none has a location.
+function chooseCandidate(candidates, context = {}) {
+  return rankLocated(candidates, context)[0] || null;
+}
+
+function isLowConfidence(entry) {
+  return typeof entry.confidence === 'number' && entry.confidence < LOW_CONFIDENCE;
+}
+
+module.exports = {
+  rankCandidates,
+  rankLocated,
+  chooseCandidate,
+  leaderSettled,
+  brandBonus,
+  isLowConfidence,
+  scoreName,
+  scoreSection,
+  sectionAisles,
+  tokenize,
+  LOW_CONFIDENCE,
+};
@@ -2,9 +2,20 @@
 // NLP Shopping List Parser
 // ============================================================
 // Multi-stage pipeline that handles natural language grocery lists:
+//   Stage 0: normalizeInput — strip list wrappers (checkboxes, bullets,
+//            numbering, chat stamps, a previous trip file)
 //   Stage 1: splitIntoBlocks — identify section headers vs item lines
 //   Stage 2: expandLine — split one line into multiple items
 //   Stage 3: parseItem — extract structured fields from each item
+//            (quantities via lib/quantity.js, budget notes via
+//            lib/prices.js)
+//
+// The word lists below are the default vocabulary. parseShoppingList()
+// takes replacements for any of them (see buildVocabulary; a household
+// config file is merged in by lib/vocabulary.js).
+
+const { parseQuantity, multiplyQuantity } = require('./quantity');
+const { priceCeiling } = require('./prices');
 
 // ---- Abbreviation map ----
 const ABBREVIATIONS = {
@@ -45,9 +56,10 @@ const AND_COMPOUNDS = [
   'franks and beans',
 ];
 
-// ---- Directive phrases to skip ----
+// ---- Directive phrases (open requests, kept as suggestions) ----
 const DIRECTIVE_PATTERNS = [
   /^anything you like/i,
+  /^anything \w+ that\b/i,
   /^whatever you like/i,
   /^surprise us/i,
   /^whatever looks good/i,
@@ -73,6 +85,9 @@ const HEADER_PATTERNS = [
   /^meat\s+section/i,
 ];
 
+// ---- Hedged headers ("Aisle 4 (I think):") are weaker hints ----
+const UNCERTAIN_HEADER_RE = /\((?:i think|i believe|maybe|probably|not sure|\?)[^)]*\)|\?\s*:?\s*$|\?\s*:/i;
+
 // ---- Adjective prefixes to strip from lookup terms ----
 const STRIP_PREFIXES = [
   'plain', 'fresh', 'deli', 'organic', 'raw', 'whole', 'natural',
@@ -93,32 +108,230 @@ const STRIP_SUFFIXES = [
   /\s+bottles?$/i,
 ];
 
-// ---- Category prefixes (inline headers like "Fruits:") ----
-// Allows optional parenthetical between name and colon: "Cold cuts (note):"
-const CATEGORY_PREFIX_RE = /^(fruits?|veggies|vegetables?|cereal|cold\s*cuts?|snacks?|drinks?|beverages?|meats?|dairy|frozen|bread|condiments?|spices?|herbs?)\s*(?:\([^)]*\)\s*)?:/i;
+// ---- Category words (inline headers like "Fruits:") ----
+const CATEGORY_WORDS = [
+  'fruits?', 'veggies', 'vegetables?', 'cereal', 'cold\\s*cuts?', 'snacks?',
+  'drinks?', 'beverages?', 'meats?', 'dairy', 'frozen', 'bread',
+  'condiments?', 'spices?', 'herbs?',
+];
 
 // ---- Brand/qualifier prefixes (like "Pillsbury quick bake tubes:") ----
 // These are prefixes followed by colon that introduce a list but are not categories
 const BRAND_PREFIX_RE = /^([A-Z][a-zA-Z\s]+(?:brand|tubes?|packs?|variety|style|kind))[\s]*:/i;
 
+// ---- Known brands (matched at the start of a name or prefix) ----
+const BRANDS = [
+  'Pillsbury', "Kellogg's", 'General Mills', 'Quaker', 'Nabisco', "Boar's Head",
+  'Land O Lakes', 'Sargento', 'Kraft', 'Oscar Mayer', 'Hillshire Farm', 'Chobani',
+  'Dannon', 'Yoplait', 'Tropicana', 'Minute Maid', 'Goya', 'Barilla', 'Heinz',
+  "Hellmann's", 'Tostitos', 'Perdue', "Ben & Jerry's", 'Breyers', 'Talenti',
+  'Clorox', 'Bounty', 'Charmin',
+];
+
+// ---- Store-brand hints ("their brand name is fine", "any brand") ----
+const STORE_BRAND_RE = /\b(?:(?:their|store|shoprite|house|generic)\s+brand(?:\s+name)?\s+(?:is\s+)?(?:fine|ok(?:ay)?|good)|any\s+brand|generic\s+(?:is\s+)?(?:fine|ok(?:ay)?))\b|^(?:store|shoprite|generic)\s+brand$/i;
+
+// Words a Title Case name may leave lowercase ("Fruit of the Loom")
+const TITLE_CASE_SMALL_WORDS = ['and', 'or', 'of', 'the', 'in', '&'];
+
+// ============================================================
+// Vocabulary
+// ============================================================
+const DEFAULT_VOCABULARY = Object.freeze({
+  abbreviations: ABBREVIATIONS,
+  andCompounds: AND_COMPOUNDS,
+  directivePatterns: DIRECTIVE_PATTERNS,
+  headerPatterns: HEADER_PATTERNS,
+  stripPrefixes: STRIP_PREFIXES,
+  stripSuffixes: STRIP_SUFFIXES,
+  categoryWords: CATEGORY_WORDS,
+  brands: BRANDS,
+});
+
+// Keys whose entries are patterns (RegExp, or a string compiled
+// case-insensitively); categoryWords are pattern fragments
+const PATTERN_KEYS = ['directivePatterns', 'headerPatterns', 'stripSuffixes'];
+
+function asPattern(p) {
+  return p instanceof RegExp ? p : new RegExp(p, 'i');
+}
+
+function escapeRe(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Allows optional parenthetical between name and colon: "Cold cuts (note):"
+function categoryPrefixRe(words) {
+  const alternation = words.map(w => `(?:${w instanceof RegExp ? w.source : w})`).join('|');
+  return new RegExp(`^(${alternation})\\s*(?:\\((?<note>[^)]*)\\)\\s*)?:`, 'i');
+}
+
+// "boars head" finds "Boar's Head": apostrophes are optional
+function brandKey(brand) {
+  return brand.toLowerCase().replace(/'/g, '');
+}
+
+function brandRe(brands) {
+  const keys = [...brands].sort((a, b) => b.length - a.length)
+    .map(b => escapeRe(b).replace(/'/g, "'?"));
+  if (!keys.length) return null;
+  return new RegExp(`^(${keys.join('|')})(?![\\w'])`, 'i');
+}
+
+// Abbreviations are whole words or phrases ("tp", "gf bread"), longest
+// first, so "pb&j" wins over "pb"
+function abbreviationRe(abbreviations) {
+  const keys = Object.keys(abbreviations).sort((a, b) => b.length - a.length);
+  if (!keys.length) return null;
+  return new RegExp(`(?<![\\w&'])(${keys.map(escapeRe).join('|')})(?![\\w&'])`, 'gi');
+}
+
+// Options → the vocabulary the stages use. Each key given replaces
+// that default outright; keys left out keep theirs.
+function buildVocabulary(options = {}) {
+  const vocab = {};
+  for (const key of Object.keys(DEFAULT_VOCABULARY)) {
+    vocab[key] = options[key] !== undefined ? options[key] : DEFAULT_VOCABULARY[key];
+  }
+  for (const key of PATTERN_KEYS) vocab[key] = vocab[key].map(asPattern);
+  vocab.abbreviations = Object.fromEntries(
+    Object.entries(vocab.abbreviations).map(([k, v]) => [k.toLowerCase(), v]));
+  vocab.abbreviationRe = abbreviationRe(vocab.abbreviations);
+  vocab.andCompounds = vocab.andCompounds.map(c => c.toLowerCase());
+  vocab.stripPrefixes = vocab.stripPrefixes.map(p => p.toLowerCase());
+  vocab.categoryPrefixRe = categoryPrefixRe(vocab.categoryWords);
+  vocab.brandRe = brandRe(vocab.brands);
+  vocab.brandNames = new Map(vocab.brands.map(b => [brandKey(b), b]));
+  return vocab;
+}
+
+const DEFAULTS = buildVocabulary();
+
+// ============================================================
+// Stage 0: normalizeInput
+// ============================================================
+// Lists arrive as markdown checklists, numbered or bulleted lines,
+// pasted chat transcripts, or last week's generated trip file. This
+// reduces each to the bare lines Stage 1 expects and returns
+// { text, done } — done holds the items already checked off ("- [x]
+// milk", "✅ milk"), which are left out of the list.
+
+// "- [ ] milk", "* [x] milk"
+const CHECKBOX_RE = /^[-*+]\s+\[( |x|X)\]\s*/;
+// "✅ milk" is done, "⬜ milk" isn't
+const DONE_MARK_RE = /^(?:✅|☑️?|✔️?)\s*/u;
+const OPEN_MARK_RE = /^(?:⬜|☐|🔲)\s*/u;
+// "1. milk", "2) eggs" — but not "1.5 lb"
+const NUMBERED_RE = /^\(?\d{1,3}[.)]\s+/;
+// "- milk", "• milk", "– milk"
+const BULLET_RE = /^[-*+•◦‣▪●○·–—]\s+/u;
+// "🥛 milk", "🍎🍐 fruit"
+const EMOJI_RE = /^(?:\p{Extended_Pictographic}[\u{FE0F}\u{200D}]*)+\s*/u;
+// "Jane, 9:41 PM" / "Today 9:41 PM" / "Delivered" / "Read 9:42 PM"
+const CHAT_STAMP_RE = /^(?:[^,:]{1,40},\s*)?(?:today|yesterday|\w{3,9}day|[\d/.-]+)?,?\s*\d{1,2}:\d{2}(?:\s*[ap]\.?m\.?)?$|^(?:delivered|read|seen|sent)(?:\s+\d{1,2}:\d{2}(?:\s*[ap]\.?m\.?)?)?$/i;
+// "[2/14/26, 9:41 PM] Jane: milk", "Jane, 9:41 PM: milk"
+const CHAT_PREFIX_RE = /^\[[^\]]*\d{1,2}:\d{2}[^\]]*\]\s*[^:]{1,40}:\s*|^[^,:]{1,40},\s*\d{1,2}:\d{2}(?:\s*[ap]\.?m\.?)?:\s+/i;
+// "## Dairy section" → a header if Stage 1 would take it as one
+const MD_HEADING_RE = /^#{1,6}\s+(.+?)\s*#*$/;
+
+// A previous trip file starts with its title (lib/markdown.js)
+const TRIP_TITLE_RE = /^# Shopping List — /;
+
+function isHeaderLine(line, vocab) {
+  return vocab.headerPatterns.some(p => p.test(line));
+}
+
+// One line of a pasted list → { line, done } (line null to drop it)
+function unwrapLine(raw, vocab) {
+  let line = raw.trim();
+  if (CHAT_STAMP_RE.test(line)) return { line: null, done: false };
+  line = line.replace(CHAT_PREFIX_RE, '');
+
+  const heading = line.match(MD_HEADING_RE);
+  if (heading) {
+    const text = heading[1].replace(/:$/, '');
+    return { line: isHeaderLine(`${text}:`, vocab) ? `${text}:` : null, done: false };
+  }
+
+  let done = false;
+  const box = line.match(CHECKBOX_RE);
+  if (box) {
+    done = box[1] !== ' ';
+    line = line.slice(box[0].length);
+  } else if (DONE_MARK_RE.test(line)) {
+    done = true;
+    line = line.replace(DONE_MARK_RE, '');
+  } else {
+    line = line.replace(OPEN_MARK_RE, '').replace(NUMBERED_RE, '').replace(BULLET_RE, '');
+  }
+  line = line.replace(EMOJI_RE, '').trim();
+  return { line, done };
+}
+
+// "- [ ] Black beans ×4 cans — Aisle 12 *(under $5)* · $1.29" from a
+// trip file → "4 cans Black beans (under $5)". Aisle headings,
+// suggestions and the Dropped section are left behind; so is the
+// original list folded in after "---".
+function unwrapTripFile(lines) {
+  const out = [];
+  const done = [];
+  let dropped = false;
+  for (const raw of lines) {
+    if (raw.trim() === '---') break;
+    if (raw.startsWith('## ')) {
+      dropped = raw.slice(3).trim() === 'Dropped';
+      continue;
+    }
+    const box = raw.match(/^- \[( |x|X)\] (.+)$/);
+    if (!box || dropped) continue;
+    const body = box[2];
+    const name = body.split(/ ×| — | \*| · | <sub>/)[0].trim();
+    const qty = (body.match(/ ×(.+?)(?: — | \*| · | <sub>|$)/) || [])[1];
+    const notes = (body.match(/ \*\(([^)]*)\)\*/) || [])[1];
+    const line = [qty, name].filter(Boolean).join(' ') + (notes ? ` (${notes})` : '');
+    (box[1] !== ' ' ? done : out).push(line);
+  }
+  return { text: out.join('\n'), done };
+}
+
+function normalizeInput(text, vocab = DEFAULTS) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const first = lines.find(l => l.trim());
+  if (first && TRIP_TITLE_RE.test(first.trim())) return unwrapTripFile(lines);
+
+  const out = [];
+  const done = [];
+  for (const raw of lines) {
+    if (!raw.trim()) {
+      out.push('');
+      continue;
+    }
+    const { line, done: isDone } = unwrapLine(raw, vocab);
+    if (!line) continue;
+    (isDone ? done : out).push(line);
+  }
+  return { text: out.join('\n'), done };
+}
+
 // ============================================================
 // Stage 1: splitIntoBlocks
 // ============================================================
-function splitIntoBlocks(text) {
+function splitIntoBlocks(text, vocab = DEFAULTS) {
   const lines = text.split(/\n/);
   const blocks = [];
   let currentSection = null;
+  let uncertain = false;
 
   for (const rawLine of lines) {
     const line = rawLine.trim();
     if (!line) continue;
 
     // Check if this line is a section header
-    const isHeader = HEADER_PATTERNS.some(p => p.test(line));
-    if (isHeader) {
+    if (isHeaderLine(line, vocab)) {
       // Extract section name (strip trailing colon and parenthetical)
-      let sectionName = line.replace(/\s*\(.*?\)\s*/g, '').replace(/:.*$/, '').trim();
+      let sectionName = line.replace(/\s*\(.*?\)\s*/g, '').replace(/:.*$/, '').replace(/\?+$/, '').trim();
       currentSection = sectionName;
+      uncertain = UNCERTAIN_HEADER_RE.test(line.replace(/:.*$/, ':'));
 
       // Check for inline content after the colon
       const colonIdx = line.indexOf(':');
@@ -126,18 +339,18 @@ function splitIntoBlocks(text) {
         const afterColon = line.substring(colonIdx + 1).trim();
         if (afterColon) {
           // Could be a directive or items after the header
-          const isDirective = DIRECTIVE_PATTERNS.some(p => p.test(afterColon));
+          const isDirective = vocab.directivePatterns.some(p => p.test(afterColon));
           if (isDirective) {
             blocks.push({ type: 'directive', text: afterColon, section: currentSection, raw: line });
           } else {
-            blocks.push({ type: 'items', text: afterColon, section: currentSection, raw: line });
+            blocks.push({ type: 'items', text: afterColon, section: currentSection, sectionUncertain: uncertain, raw: line });
           }
         }
       }
       continue;
     }
 
-    blocks.push({ type: 'items', text: line, section: currentSection, raw: line });
+    blocks.push({ type: 'items', text: line, section: currentSection, sectionUncertain: uncertain, raw: line });
   }
 
   return blocks;
@@ -146,7 +359,36 @@ function splitIntoBlocks(text) {
 // ============================================================
 // Stage 2: expandLine
 // ============================================================
-function expandLine(block) {
+// Besides splitting, a line's prefix can carry brand information for
+// every item on it: a brand ("Pillsbury quick bake tubes:" — a known
+// brand, or a capitalized word before a packaging word), a store-brand
+// hint ("Cold cuts (their brand name is fine):"), or a category whose
+// items are all written in Title Case ("Cereal: Cheerios and Frosted
+// Flakes"), which makes each one a brand name.
+
+// Known brand at the start of text, as the vocabulary writes it, or null
+function knownBrand(text, vocab) {
+  const m = vocab.brandRe && text.match(vocab.brandRe);
+  return m ? vocab.brandNames.get(brandKey(m[1])) || m[1] : null;
+}
+
+function prefixBrand(prefix, vocab) {
+  const bare = prefix.replace(/\s*\([^)]*\)/g, '').trim();
+  const known = knownBrand(bare, vocab);
+  if (known) return known;
+  if (!BRAND_PREFIX_RE.test(`${bare}:`)) return null;
+  const capitalized = bare.match(/^((?:[A-Z][\w'&.-]*\s+)+)(?=[a-z])/);
+  return capitalized ? capitalized[1].trim() : null;
+}
+
+// "Cheerios", "Frosted Flakes" — every word capitalized
+function isTitleCase(text) {
+  const words = text.replace(/\([^)]*\)/g, '').split(/\s+/)
+    .filter(w => /[a-z]/i.test(w) && !TITLE_CASE_SMALL_WORDS.includes(w.toLowerCase()) && !/^x\d+$/i.test(w));
+  return words.length > 0 && words.every(w => /^[A-Z]/.test(w));
+}
+
+function expandLine(block, vocab = DEFAULTS) {
   if (block.type === 'directive') {
     return [{ raw: block.raw, directive: block.text, section: block.section }];
   }
@@ -158,9 +400,12 @@ function expandLine(block) {
 
   // Extract category prefix if present ("Fruits:", "Cereal:", etc.)
   let category = null;
-  const catMatch = text.match(CATEGORY_PREFIX_RE);
+  let brand = null;
+  let storeBrandOk = false;
+  const catMatch = text.match(vocab.categoryPrefixRe);
   if (catMatch) {
     category = catMatch[1].trim();
+    storeBrandOk = STORE_BRAND_RE.test(catMatch.groups.note || '');
     text = text.substring(catMatch[0].length).trim();
   }
 
@@ -176,6 +421,8 @@ function expandLine(block) {
       const isQtyPrefix = /^\d+\s+(bag|can|box|pack|ct|lb)s?\s+each$/i.test(before);
       if (!isQtyPrefix && (after.includes(',') || /\band\b/i.test(after))) {
         category = before;
+        brand = prefixBrand(before, vocab);
+        storeBrandOk = (before.match(/\(([^)]*)\)/g) || []).some(n => STORE_BRAND_RE.test(n.slice(1, -1)));
         text = after;
       }
     }
@@ -199,9 +446,9 @@ function expandLine(block) {
     if (!trimmed) continue;
 
     // Check if this is a directive
-    const isDirective = DIRECTIVE_PATTERNS.some(p => p.test(trimmed));
+    const isDirective = vocab.directivePatterns.some(p => p.test(trimmed));
     if (isDirective) {
-      results.push({ raw: raw, directive: trimmed, section: section });
+      results.push({ raw: raw, directive: trimmed, section: section, category: category });
       continue;
     }
 
@@ -210,27 +457,34 @@ function expandLine(block) {
     if (!cleaned) continue;
 
     // Try "and"-split, respecting compounds
-    const andSplit = splitOnAnd(cleaned);
+    const andSplit = splitOnAnd(cleaned, vocab);
     items.push(...andSplit);
   }
 
+  // A category of Title Case names is a list of brands
+  const brandList = !!category && !brand && items.length > 1 && items.every(isTitleCase);
+
   for (const item of items) {
     results.push({
       raw: raw,
       itemText: item.trim(),
       section: section,
+      sectionUncertain: !!block.sectionUncertain,
       category: category,
       sharedQty: sharedQty,
+      brand: brand,
+      brandList: brandList,
+      storeBrandOk: storeBrandOk,
     });
   }
 
   return results;
 }
 
-function splitOnAnd(text) {
+function splitOnAnd(text, vocab) {
   // Check if the whole phrase is a known compound
   const lower = text.toLowerCase();
-  for (const compound of AND_COMPOUNDS) {
+  for (const compound of vocab.andCompounds) {
     if (lower.includes(compound)) {
       return [text];
     }
@@ -247,12 +501,13 @@ function splitOnAnd(text) {
 // ============================================================
 // Stage 3: parseItem
 // ============================================================
-function parseItem(entry) {
+function parseItem(entry, vocab = DEFAULTS) {
   if (entry.directive) {
     return {
       raw: entry.raw,
       name: null,
       qty: '',
+      quantity: null,
       notes: '',
       lookupTerm: null,
       category: entry.category || null,
@@ -280,64 +535,42 @@ function parseItem(entry) {
   text = text.replace(/1\/2\s*&\s*1\/2/gi, 'half and half');
   text = text.replace(/1\/2\s+and\s+1\/2/gi, 'half and half');
 
-  // Handle "Dz" prefix (e.g., "Dz eggs x2")
-  let dozenMultiplier = false;
-  if (/^dz\b/i.test(text)) {
-    dozenMultiplier = true;
-    text = text.replace(/^dz\s*/i, '').trim();
-  }
+  // Handle "Dz" prefix (e.g., "Dz eggs x2") — read as "dozen eggs"
+  text = text.replace(/^dz\b\s*/i, 'dozen ').trim();
 
-  // ---- Extract quantity ----
-  let qty = '';
+  // ---- Extract quantity (structured; see lib/quantity.js) ----
+  let quantity = null;
   let name = text;
 
-  // Pattern: trailing "x2", "x 3", etc.
+  // Pattern: trailing "x2", "x 3", etc. — a multiplier
+  let multiplier = null;
   const trailingX = name.match(/^(.+?)\s+x\s*(\d+)\s*$/i);
   if (trailingX) {
     name = trailingX[1].trim();
-    qty = trailingX[2];
+    multiplier = parseInt(trailingX[2], 10);
   }
 
-  // Pattern: leading "4 cans", "2 large packs of"
-  if (!qty) {
-    const leadingQty = name.match(/^(\d+[-–]?\d*)\s+(cans?|boxes?|bags?|packs?|bottles?|jars?|bunche?s?|large\s+packs?\s+of|packs?\s+of)\s+(.+)/i);
-    if (leadingQty) {
-      qty = `${leadingQty[1]} ${leadingQty[2]}`.trim();
-      name = leadingQty[3].trim();
-    }
+  // Pattern: leading "4 cans", "2 large packs of", "3-4", "two",
+  // "a dozen", "half gallon", "1.5 lb", "12 oz"
+  const leading = parseQuantity(name);
+  if (leading && leading.rest) {
+    quantity = leading.quantity;
+    name = leading.rest;
   }
 
-  // Pattern: leading plain number "3-4 avocados", "4-5 limes"
-  if (!qty) {
-    const leadingNum = name.match(/^(\d+[-–]\d+|\d+)\s+(.+)/);
-    if (leadingNum) {
-      // Don't consume the number if it looks like part of the name (e.g., "7up")
-      const rest = leadingNum[2];
-      if (!/^[a-z]/.test(rest) || rest.length > 2) {
-        qty = leadingNum[1];
-        name = rest.trim();
-      }
-    }
-  }
-
-  // Apply dozen multiplier
-  if (dozenMultiplier) {
-    if (qty) {
-      qty = `${qty} dozen`;
-    } else {
-      qty = 'dozen';
-    }
-  }
+  if (multiplier) quantity = multiplyQuantity(quantity, multiplier);
 
-  // Apply shared quantity if no specific qty found
-  if (!qty && sharedQty) {
-    qty = sharedQty;
+  // Apply shared quantity if no specific qty found ("1 bag each")
+  let qty = quantity ? quantity.text : '';
+  if (!quantity && sharedQty) {
+    const shared = parseQuantity(sharedQty);
+    quantity = shared && !shared.rest ? shared.quantity : null;
+    qty = quantity ? quantity.text : sharedQty;
   }
 
-  // ---- Normalize single-word abbreviations in name ----
-  const nameLower = name.toLowerCase().trim();
-  if (ABBREVIATIONS[nameLower]) {
-    name = ABBREVIATIONS[nameLower];
+  // ---- Expand abbreviations in name ("oj", "gf bread") ----
+  if (vocab.abbreviationRe) {
+    name = name.replace(vocab.abbreviationRe, m => vocab.abbreviations[m.toLowerCase()]);
   }
 
   // ---- Build lookup term ----
@@ -375,25 +608,39 @@ function parseItem(entry) {
 
   // Strip adjective prefixes from lookup
   let lookupLower = lookupTerm.toLowerCase();
-  for (const prefix of STRIP_PREFIXES) {
+  for (const prefix of vocab.stripPrefixes) {
     if (lookupLower.startsWith(prefix + ' ')) {
       lookupTerm = lookupTerm.substring(prefix.length).trim();
       lookupLower = lookupTerm.toLowerCase();
     }
   }
 
-  // Strip trailing qualifier phrases
-  for (const suffix of STRIP_SUFFIXES) {
-    lookupTerm = lookupTerm.replace(suffix, '').trim();
-  }
-
-  // Normalize "veggies" → "vegetables" in lookup
-  lookupTerm = lookupTerm.replace(/\bveggies\b/gi, 'vegetables');
-
-  // Clean up whitespace
-  lookupTerm = lookupTerm.replace(/\s+/g, ' ').trim();
+  lookupTerm = tidyLookup(lookupTerm, vocab);
   name = name.replace(/\s+/g, ' ').trim();
 
+  // ---- Brand and variety ("Pillsbury" + "biscuits") ----
+  // The brand goes on the front of the name and the lookup term, so
+  // the search asks for it and the cache, overrides and combined lists
+  // keep "Pillsbury biscuits" apart from plain "biscuits", however the
+  // brand was written; variety is what's left.
+  let brand = entry.brand || knownBrand(name, vocab);
+  let variety = null;
+  if (entry.brand && brandKey(name).startsWith(brandKey(entry.brand))) {
+    variety = tidyLookup(name.slice(entry.brand.length), vocab).toLowerCase() || null;
+  } else if (entry.brand) {
+    variety = lookupTerm.toLowerCase();
+    name = `${entry.brand} ${name}`;
+  } else if (brand) {
+    const rest = name.replace(vocab.brandRe, '');
+    variety = tidyLookup(rest, vocab).toLowerCase() || (category ? category.toLowerCase() : null);
+  } else if (entry.brandList) {
+    brand = name;
+    variety = category.toLowerCase();
+  }
+  if (brand && !brandKey(lookupTerm).includes(brandKey(brand))) {
+    lookupTerm = `${brand} ${lookupTerm}`;
+  }
+
   // Capitalize name nicely
   if (name === name.toLowerCase()) {
     name = name.charAt(0).toUpperCase() + name.slice(1);
@@ -403,25 +650,77 @@ function parseItem(entry) {
     raw: entry.raw,
     name: name,
     qty: qty,
+    quantity: quantity,
     notes: notes,
+    maxPrice: priceCeiling(notes),
     lookupTerm: lookupTerm.toLowerCase(),
+    alternatives: splitAlternatives(name, vocab),
+    brand: brand || null,
+    variety: variety,
+    storeBrandOk: !!entry.storeBrandOk || STORE_BRAND_RE.test(notes),
     category: category || null,
     section: section || null,
+    sectionUncertain: !!(section && entry.sectionUncertain),
     directive: null,
   };
 }
 
+// Trailing qualifiers off, "veggies" → "vegetables", whitespace tidied
+function tidyLookup(term, vocab) {
+  let out = term;
+  for (const suffix of vocab.stripSuffixes) {
+    out = out.replace(suffix, '').trim();
+  }
+  out = out.replace(/\bveggies\b/gi, 'vegetables');
+  return out.replace(/\s+/g, ' ').trim();
+}
+
+// "Sugar in the raw or organic sugar" → each side as its own
+// { name, lookupTerm }, or null for a name without "or". A bare
+// adjective borrows the noun from the other side ("honey or deli Ham"
+// → honey Ham / deli Ham, "dark chocolate or milk" → milk chocolate).
+// Adjectives stay in these lookup terms — they're what tells the
+// alternatives apart.
+function splitAlternatives(name, vocab) {
+  const parts = name.split(/\s+or\s+/i).map(p => p.trim()).filter(Boolean);
+  if (parts.length < 2) return null;
+  const words = parts.map(p => p.split(/\s+/));
+  const first = words[0];
+  const last = words[words.length - 1];
+
+  let names = parts;
+  if (last.length > 1 && words.slice(0, -1).every(w => w.length === 1)) {
+    const noun = last[last.length - 1];
+    names = parts.map((p, i) => (i < parts.length - 1 ? `${p} ${noun}` : p));
+  } else if (parts.length === 2 && last.length === 1 && first.length > 1) {
+    names = [parts[0], `${parts[1]} ${first[first.length - 1]}`];
+  }
+  return names.map(n => ({ name: n, lookupTerm: tidyLookup(n, vocab).toLowerCase() }));
+}
+
 // ============================================================
 // Main parse function
 // ============================================================
-function parseShoppingList(text) {
-  const blocks = splitIntoBlocks(text);
+// options holds vocabulary replacements: { abbreviations, andCompounds,
+// directivePatterns, headerPatterns, stripPrefixes, stripSuffixes,
+// categoryWords, brands } — any subset (see buildVocabulary)
+function parseShoppingList(text, options = {}) {
+  const vocab = buildVocabulary(options);
+  const blocks = splitIntoBlocks(normalizeInput(text, vocab).text, vocab);
   const expanded = [];
   for (const block of blocks) {
-    expanded.push(...expandLine(block));
+    expanded.push(...expandLine(block, vocab));
   }
-  const parsed = expanded.map(parseItem);
+  const parsed = expanded.map(entry => parseItem(entry, vocab));
   return parsed;
 }
 
-module.exports = { parseShoppingList, splitIntoBlocks, expandLine, parseItem };
+module.exports = {
+  parseShoppingList,
+  normalizeInput,
+  splitIntoBlocks,
+  expandLine,
+  parseItem,
+  buildVocabulary,
+  DEFAULT_VOCABULARY,
+};
@@ -0,0 +1,130 @@
+// ============================================================
+// Per-Store Overrides — user-maintained, checked before the API
+// ============================================================
+//
+// scraper/stores/<id>.overrides.json keeps hand-made fixes apart from
+// the machine-written cache:
+//
+//   {
+//     "aliases":   { "munster": "muenster cheese" },
+//     "locations": {
+//       "sour dough bread": { "aisle": "Bakery", "bay": "" },
+//       "queso block cheese": "Aisle 18"
+//     }
+//   }
+//
+// aliases   — lookup term → better search term (followed before the
+//             cache and API are consulted)
+// locations — lookup term → fixed location, either { aisle, bay } or
+//             raw aisle text run through parseAisleText
+//
+// Keys are matched case-insensitively against the parser's lookupTerm.
+
+const fs = require('fs');
+const path = require('path');
+const { STORES_DIR } = require('./storeProfiles');
+
+const MAX_ALIAS_HOPS = 5;
+
+function overridesPath(storeId) {
+  return path.join(STORES_DIR, `${storeId}.overrides.json`);
+}
+
+function normalizeKey(key) {
+  return key.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function validate(file, data) {
+  const fail = (msg) => { throw new Error(`Invalid overrides file ${file}: ${msg}`); };
+  if (!data || typeof data !== 'object' || Array.isArray(data)) fail('expected a JSON object');
+
+  for (const section of ['aliases', 'locations']) {
+    const v = data[section];
+    if (v !== undefined && (!v || typeof v !== 'object' || Array.isArray(v))) {
+      fail(`"${section}" must be an object`);
+    }
+  }
+  for (const [k, v] of Object.entries(data.aliases || {})) {
+    if (typeof v !== 'string' || !v.trim()) fail(`aliases["${k}"] must be a non-empty string`);
+  }
+  for (const [k, v] of Object.entries(data.locations || {})) {
+    const ok = (typeof v === 'string' && v.trim()) ||
+      (v && typeof v === 'object' && typeof v.aisle === 'string' && v.aisle.trim() &&
+        (v.bay === undefined || typeof v.bay === 'string'));
+    if (!ok) fail(`locations["${k}"] must be aisle text or { "aisle": "...", "bay": "..." }`);
+  }
+}
+
+// parseAisleText normalizes string locations ("12A" → Aisle 12 / A)
+function loadOverrides(storeId, parseAisleText) {
+  const file = overridesPath(storeId);
+  let data = {};
+  if (fs.existsSync(file)) {
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (err) {
+      throw new Error(`Invalid overrides file ${file}: ${err.message}`);
+    }
+    validate(file, data);
+  }
+
+  const aliases = new Map();
+  for (const [k, v] of Object.entries(data.aliases || {})) {
+    aliases.set(normalizeKey(k), normalizeKey(v));
+  }
+  const locations = new Map();
+  for (const [k, v] of Object.entries(data.locations || {})) {
+    const loc = typeof v === 'string'
+      ? parseAisleText(v)
+      : { aisle: v.aisle.trim(), bay: (v.bay || '').trim() };
+    locations.set(normalizeKey(k), loc);
+  }
+
+  return { file, data, aliases, locations };
+}
+
+// Follow aliases, then check for a fixed location on any term seen
+// along the way. Returns { term, alias, location }.
+function applyOverrides(overrides, term) {
+  let current = normalizeKey(term);
+  const seen = [current];
+  for (let hop = 0; hop < MAX_ALIAS_HOPS && overrides.aliases.has(current); hop++) {
+    const next = overrides.aliases.get(current);
+    if (seen.includes(next)) break;
+    seen.push(next);
+    current = next;
+  }
+  const hit = seen.find(t => overrides.locations.has(t));
+  return {
+    term: current,
+    alias: current !== normalizeKey(term),
+    location: hit ? overrides.locations.get(hit) : null,
+  };
+}
+
+function setAlias(overrides, term, target) {
+  const key = normalizeKey(term);
+  overrides.aliases.set(key, normalizeKey(target));
+  overrides.data.aliases = { ...(overrides.data.aliases || {}), [key]: normalizeKey(target) };
+}
+
+function setLocation(overrides, term, loc) {
+  const key = normalizeKey(term);
+  const entry = { aisle: loc.aisle, bay: loc.bay || '' };
+  overrides.locations.set(key, entry);
+  overrides.data.locations = { ...(overrides.data.locations || {}), [key]: entry };
+}
+
+function saveOverrides(overrides) {
+  fs.mkdirSync(path.dirname(overrides.file), { recursive: true });
+  fs.writeFileSync(overrides.file, JSON.stringify(overrides.data, null, 2) + '\n', 'utf-8');
+}
+
+module.exports = {
+  loadOverrides,
+  applyOverrides,
+  setAlias,
+  setLocation,
+  saveOverrides,
+  overridesPath,
+};
@@ -0,0 +1,141 @@
+// ============================================================
+// Prices — product prices, sale flags, budget notes, trip total
+// ============================================================
+// The product detail record that gives an item its aisle also carries
+// its price. priceInfo() pulls out what the list shows:
+//
+//   {
+//     price: 3.49,           current shelf price (null if unlisted)
+//     regularPrice: 3.99,    pre-sale price when on sale, else null
+//     size: '64 oz',         package size, as the store writes it
+//     unitPrice: '$0.05/oz', price per unit, as the store writes it
+//     sale: true,            on sale or part of a promotion
+//     promo: 'BOGO',         promotion text, if any
+//   }
+//
+// priceCeiling() turns budget notes ("under $5", "$10 max") into a
+// number; lib/matcher.js prefers candidates within it and the item is
+// flagged overBudget when none fit.
+
+const { MEASURE_UNITS } = require('./quantity');
+
+const PRICE_FIELDS = ['price', 'regularPrice', 'size', 'unitPrice', 'sale', 'promo'];
+
+// "(under $5)", "less than $5", "no more than 5 dollars", "max $5",
+// "$5 max", "up to $5", "$5 or less", "< $5"
+const CEILING_PATTERNS = [
+  /(?:under|below|less than|no more than|not over|up to|max(?:imum)?|<)\s*\$\s*(\d+(?:\.\d+)?)/i,
+  /(?:under|below|less than|no more than|not over|up to|max(?:imum)?|<)\s*(\d+(?:\.\d+)?)\s*(?:dollars|bucks)/i,
+  /\$\s*(\d+(?:\.\d+)?)\s*(?:max(?:imum)?|or less|or under|tops|limit)\b/i,
+];
+
+// 3.49 or "$3.49" — the store sends either
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  const m = value.replace(/,/g, '').match(/\$\s*(\d+(?:\.\d+)?)/) || value.match(/^\s*(\d+(?:\.\d+)?)\s*$/);
+  return m ? parseFloat(m[1]) : null;
+}
+
+function sizeText(detail) {
+  if (typeof detail.size === 'string' && detail.size.trim()) return detail.size.trim();
+  const u = detail.unitOfSize;
+  if (u && u.size) return `${u.size} ${u.abbreviation || u.type || ''}`.trim();
+  return null;
+}
+
+// Product detail record → price fields, or null when it has no price
+function priceInfo(detail) {
+  if (!detail) return null;
+  const price = toNumber(detail.priceNumeric ?? detail.price);
+  if (price === null) return null;
+  const was = toNumber(detail.wasPriceNumeric ?? detail.wasPrice);
+  const regularPrice = was !== null && was > price ? was : null;
+  const promos = (detail.promotions || [])
+    .map(p => (typeof p === 'string' ? p : p && (p.description || p.name)))
+    .filter(Boolean);
+  return {
+    price,
+    regularPrice,
+    size: sizeText(detail),
+    unitPrice: typeof detail.pricePerUnit === 'string' ? detail.pricePerUnit : null,
+    sale: regularPrice !== null || promos.length > 0 || !!detail.isSpecial,
+    promo: promos[0] || null,
+  };
+}
+
+// Budget notes → a ceiling in dollars, or null
+function priceCeiling(notes) {
+  for (const re of CEILING_PATTERNS) {
+    const m = (notes || '').match(re);
+    if (m) return parseFloat(m[1]);
+  }
+  return null;
+}
+
+// True when the price is known and over the ceiling
+function overBudget(entry, maxPrice) {
+  return typeof maxPrice === 'number' && typeof entry.price === 'number' && entry.price > maxPrice;
+}
+
+function formatPrice(n) {
+  return `$${n.toFixed(2)}`;
+}
+
+// "$3.49 / 64 oz, sale: was $3.99" — null for an unpriced item
+function priceText(item) {
+  if (typeof item.price !== 'number') return null;
+  let text = formatPrice(item.price);
+  if (item.size) text += ` / ${item.size}`;
+  if (item.sale) {
+    const detail = [item.promo, item.regularPrice ? `was ${formatPrice(item.regularPrice)}` : '']
+      .filter(Boolean).join(', ');
+    text += detail ? `, sale: ${detail}` : ', sale';
+  }
+  return text;
+}
+
+// How many to buy for the total: the top of a counted quantity ("3-4
+// cans" → 4, "2 dozen" → 2); a weight or volume ("1.5 lb", "half
+// gallon") is one package
+function priceCount(item) {
+  const q = item.quantity;
+  return q && q.max && !MEASURE_UNITS.includes(q.unit) ? q.max : 1;
+}
+
+// Estimated total over every group → { total, priced, unpriced }
+function tripTotal(groups) {
+  let total = 0;
+  let priced = 0;
+  let unpriced = 0;
+  for (const group of groups) {
+    for (const item of group.items) {
+      if (typeof item.price === 'number') {
+        total += item.price * priceCount(item);
+        priced++;
+      } else {
+        unpriced++;
+      }
+    }
+  }
+  return { total: Math.round(total * 100) / 100, priced, unpriced };
+}
+
+// "$42.17 (3 items not priced)" — null when nothing is priced
+function totalText(groups) {
+  const { total, priced, unpriced } = tripTotal(groups);
+  if (!priced) return null;
+  const missing = unpriced ? ` (${unpriced} item${unpriced !== 1 ? 's' : ''} not priced)` : '';
+  return `${formatPrice(total)}${missing}`;
+}
+
+module.exports = {
+  priceInfo,
+  priceCeiling,
+  overBudget,
+  formatPrice,
+  priceText,
+  tripTotal,
+  totalText,
+  PRICE_FIELDS,
+};
@@ -0,0 +1,151 @@
+// ============================================================
+// Store Probe — build a draft walk order from real lookups
+// ============================================================
+//
+// `shop.js probe --store=NNN` runs SEED_ITEMS through the normal
+// lookup path (populating the cache as it goes), then hands the
+// results to buildDraftProfile() to propose a walk order covering
+// every aisle and department the store reported.
+//
+// The proposed order follows the usual ShopRite layout: perimeter
+// departments that come before the center aisles in the default
+// order, then numbered aisles ascending, then everything else.
+
+// ---- ~200 common items, grouped roughly by department ----
+const SEED_ITEMS = [
+  // Produce
+  'apples', 'bananas', 'oranges', 'lemons', 'limes', 'grapes', 'strawberries',
+  'blueberries', 'avocados', 'tomatoes', 'potatoes', 'onions', 'garlic',
+  'carrots', 'celery', 'lettuce', 'spinach', 'broccoli', 'cucumbers',
+  'bell peppers', 'mushrooms', 'cilantro', 'parsley', 'salad mix',
+  // Bakery / bread
+  'bagels', 'croissants', 'muffins', 'cake', 'cookies', 'pie', 'donuts',
+  'italian bread', 'sour dough bread', 'white bread', 'whole wheat bread',
+  'hamburger buns', 'hot dog buns', 'english muffins', 'tortillas', 'pita',
+  // Deli
+  'turkey breast', 'ham', 'salami', 'roast beef', 'bologna', 'provolone',
+  'american cheese', 'swiss cheese', 'muenster cheese', 'potato salad',
+  'rotisserie chicken', 'hummus', 'olives',
+  // Meat / seafood
+  'ground beef', 'chicken breast', 'chicken thighs', 'pork chops', 'steak',
+  'bacon', 'sausage', 'hot dogs', 'ground turkey', 'salmon', 'shrimp',
+  'tilapia', 'cod', 'crab meat',
+  // Canned / dry goods
+  'black beans', 'kidney beans', 'chickpeas', 'tomato paste', 'tomato sauce',
+  'diced tomatoes', 'chicken broth', 'tuna', 'soup', 'corn', 'green beans',
+  'pasta', 'spaghetti', 'pasta sauce', 'rice', 'couscous', 'quinoa',
+  'dry beans', 'lentils', 'mac and cheese',
+  // Baking / spices / oils
+  'flour', 'sugar', 'brown sugar', 'baking soda', 'baking powder',
+  'vanilla extract', 'chocolate chips', 'salt', 'black pepper', 'cinnamon',
+  'oregano', 'thyme', 'rosemary', 'olive oil', 'vegetable oil',
+  'cooking spray', 'vinegar',
+  // Breakfast
+  'cheerios', 'frosted flakes', 'oatmeal', 'granola', 'pancake mix',
+  'maple syrup', 'peanut butter', 'jelly', 'honey', 'coffee', 'tea',
+  // Condiments
+  'ketchup', 'mustard', 'mayonnaise', 'relish', 'salsa', 'hot sauce',
+  'soy sauce', 'salad dressing', 'bbq sauce', 'pickles',
+  // Snacks
+  'potato chips', 'tortilla chips', 'pretzels', 'popcorn', 'crackers',
+  'nuts', 'granola bars', 'candy', 'fruit snacks',
+  // Beverages
+  'seltzer', 'coke', 'ginger ale', 'bottled water', 'orange juice',
+  'apple juice', 'cranberry juice', 'lemonade', 'sports drink',
+  // Dairy / refrigerated
+  'milk', 'half and half', 'heavy cream', 'butter', 'eggs', 'yogurt',
+  'greek yogurt', 'sour cream', 'cream cheese', 'cottage cheese',
+  'shredded cheese', 'string cheese', 'biscuits', 'cinnamon rolls',
+  'crescents',
+  // Frozen
+  'frozen vegetables', 'frozen pizza', 'ice cream', 'frozen waffles',
+  'frozen french fries', 'frozen chicken nuggets', 'frozen fruit',
+  'ice pops', 'frozen dinners',
+  // Natural / international
+  'almond milk', 'oat milk', 'tofu', 'gluten free bread', 'matzo',
+  'salsa verde', 'coconut milk', 'queso fresco',
+  // Household
+  'paper towels', 'toilet paper', 'tissues', 'trash bags', 'aluminum foil',
+  'plastic wrap', 'zip bags', 'dish soap', 'dishwasher detergent',
+  'laundry detergent', 'bleach', 'sponges', 'light bulbs', 'batteries',
+  // Health & beauty
+  'shampoo', 'conditioner', 'body wash', 'toothpaste', 'toothbrush',
+  'deodorant', 'razors', 'lotion', 'sunscreen', 'vitamins', 'ibuprofen',
+  'band aids',
+  // Baby / pet
+  'diapers', 'baby wipes', 'dog food', 'cat food', 'cat litter',
+  // Misc
+  'flowers', 'charcoal', 'birthday candles', 'gift card',
+];
+
+// Number portion of "Aisle 12", or null for departments.
+function aisleNumber(aisle) {
+  const m = aisle.match(/^Aisle (\d+)$/);
+  return m ? parseInt(m[1], 10) : null;
+}
+
+// Round up to the next multiple of ten, leaving room between blocks.
+function nextBlock(n) {
+  return Math.ceil((n + 1) / 10) * 10;
+}
+
+// profile: the store's current (possibly generic) profile
+// results: [{ term, aisle, bay }] — one per probed item
+// defaultWalkOrder: AISLE_SORT_ORDER, used to rank known departments
+function buildDraftProfile(profile, results, defaultWalkOrder) {
+  const byAisle = {};
+  let unknown = 0;
+  for (const r of results) {
+    if (r.aisle === 'Unknown') { unknown++; continue; }
+    if (!byAisle[r.aisle]) byAisle[r.aisle] = [];
+    byAisle[r.aisle].push(r.bay ? `${r.term} (${r.bay})` : r.term);
+  }
+
+  // Center aisles sit at 10+ in the default order; anything ranked
+  // below that is a front-of-store perimeter department.
+  const CENTER_START = defaultWalkOrder['Aisle 1'] ?? 10;
+  const front = [];
+  const numbered = [];
+  const back = [];
+  const unrecognized = [];
+  for (const aisle of Object.keys(byAisle)) {
+    const rank = defaultWalkOrder[aisle];
+    if (aisleNumber(aisle) !== null) numbered.push(aisle);
+    else if (rank === undefined) unrecognized.push(aisle);
+    else if (rank < CENTER_START) front.push(aisle);
+    else back.push(aisle);
+  }
+  front.sort((a, b) => defaultWalkOrder[a] - defaultWalkOrder[b]);
+  numbered.sort((a, b) => aisleNumber(a) - aisleNumber(b));
+  back.sort((a, b) => defaultWalkOrder[a] - defaultWalkOrder[b]);
+  unrecognized.sort();
+
+  const walkOrder = {};
+  let n = 1;
+  for (const aisle of front) walkOrder[aisle] = n++;
+  n = Math.max(n, CENTER_START);
+  for (const aisle of numbered) walkOrder[aisle] = n++;
+  n = nextBlock(n - 1);
+  for (const aisle of [...back, ...unrecognized]) walkOrder[aisle] = n++;
+  walkOrder['Unknown'] = 99;
+
+  // Departments the profile doesn't know about came through
+  // parseAisleText's title-case fallback — worth a deptDisplay entry.
+  const known = new Set(Object.values(profile.deptDisplay));
+  const unmatched = unrecognized.filter(a => !known.has(a));
+
+  return {
+    name: profile.name,
+    address: profile.address,
+    walkOrder,
+    probe: {
+      date: new Date().toISOString().slice(0, 10),
+      itemsProbed: results.length,
+      unknown,
+      unmatchedDepartments: unmatched,
+      aisles: byAisle,
+    },
+  };
+}
+
+module.exports = { SEED_ITEMS, buildDraftProfile };
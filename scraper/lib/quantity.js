@@ -0,0 +1,185 @@
+// ============================================================
+// Quantities — "2 cans", "3-4", "a dozen", "1.5 lb", "1 bag each"
+// ============================================================
+// parseQuantity() reads a quantity off the front of an item and
+// returns it in structured form, so merging and totals can do
+// arithmetic instead of string juggling:
+//
+//   {
+//     min: 2, max: 2,     count; a range keeps both ends ("3-4")
+//     unit: 'lb',         measure — dozen, lb, oz, gallon, quart,
+//                         pint, liter, kg (null if none)
+//     package: 'can',     container, with any size word kept
+//                         ("large pack"; null if none)
+//     each: false,        true for shared quantities that apply to
+//                         every item on the line ("1 bag each")
+//     text: '2 cans',     rendered for display — this is item.qty
+//   }
+//
+// Counts can be digits, decimals, fractions ("1/2"), ranges, or words
+// ("two", "a dozen", "half gallon").
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+};
+
+// ---- Measure units (spelling → canonical) ----
+const UNITS = {
+  dozen: 'dozen', dz: 'dozen',
+  lb: 'lb', lbs: 'lb', pound: 'lb', pounds: 'lb',
+  oz: 'oz', ounce: 'oz', ounces: 'oz',
+  gallon: 'gallon', gallons: 'gallon', gal: 'gallon',
+  quart: 'quart', quarts: 'quart', qt: 'quart',
+  pint: 'pint', pints: 'pint', pt: 'pint',
+  liter: 'liter', liters: 'liter', litre: 'liter', litres: 'liter',
+  kg: 'kg',
+};
+const PLURAL_UNITS = ['gallon', 'quart', 'pint', 'liter'];
+// Weight and volume; a dozen is a count
+const MEASURE_UNITS = ['lb', 'oz', 'kg', 'gallon', 'quart', 'pint', 'liter'];
+
+// ---- Containers (spelling → canonical singular) ----
+const PACKAGES = {
+  can: 'can', cans: 'can',
+  box: 'box', boxes: 'box',
+  bag: 'bag', bags: 'bag',
+  pack: 'pack', packs: 'pack',
+  package: 'package', packages: 'package', pkg: 'package',
+  bottle: 'bottle', bottles: 'bottle', btl: 'bottle', btls: 'bottle',
+  jar: 'jar', jars: 'jar',
+  bunch: 'bunch', bunches: 'bunch',
+  carton: 'carton', cartons: 'carton',
+  container: 'container', containers: 'container',
+  loaf: 'loaf', loaves: 'loaf',
+  head: 'head', heads: 'head',
+  tub: 'tub', tubs: 'tub',
+  case: 'case', cases: 'case',
+};
+const PACKAGE_PLURALS = { box: 'boxes', bunch: 'bunches', loaf: 'loaves' };
+
+const SIZES = ['large', 'small', 'big', 'jumbo', 'medium'];
+
+const NUMBER = /^(\d+(?:\.\d+)?|\d+\/\d+)(?:[-–](\d+(?:\.\d+)?))?$/;
+const NUMBER_WITH_UNIT = /^(\d+(?:\.\d+)?)(lbs?|oz|kg)$/;   // "1.5lb", "12oz"
+
+function toNumber(s) {
+  if (s.includes('/')) {
+    const [a, b] = s.split('/').map(Number);
+    return a / b;
+  }
+  return parseFloat(s);
+}
+
+function formatNumber(n) {
+  const fractions = { 0.25: '1/4', 0.5: '1/2', 0.75: '3/4' };
+  return fractions[n] || String(Math.round(n * 100) / 100);
+}
+
+function renderQuantity(q) {
+  const parts = [q.min === q.max ? formatNumber(q.min) : `${formatNumber(q.min)}-${formatNumber(q.max)}`];
+  const many = q.max > 1;
+  if (q.unit) parts.push(many && PLURAL_UNITS.includes(q.unit) ? `${q.unit}s` : q.unit);
+  if (q.package) {
+    const words = q.package.split(' ');
+    const last = words.pop();
+    words.push(many ? (PACKAGE_PLURALS[last] || `${last}s`) : last);
+    parts.push(words.join(' '));
+  }
+  if (q.each) parts.push('each');
+  return parts.join(' ');
+}
+
+function makeQuantity(fields) {
+  const q = { min: fields.min, max: fields.max, unit: fields.unit || null,
+              package: fields.package || null, each: !!fields.each };
+  q.text = renderQuantity(q);
+  return q;
+}
+
+// text → { quantity, rest } — rest is what follows the quantity (the
+// item name). Returns null when the text doesn't start with one.
+function parseQuantity(text) {
+  const words = text.trim().split(/\s+/);
+  const lower = words.map(w => w.toLowerCase());
+  let i = 0;
+  let min = null;
+  let max = null;
+  let unit = null;
+  let pkg = null;
+  let weak = false;   // "a" / "half" only count before a unit or package
+
+  let m;
+  if ((m = lower[0].match(NUMBER_WITH_UNIT))) {
+    min = max = parseFloat(m[1]);
+    unit = UNITS[m[2]];
+    i = 1;
+  } else if ((m = lower[0].match(NUMBER))) {
+    min = toNumber(m[1]);
+    max = m[2] ? toNumber(m[2]) : min;
+    i = 1;
+  } else if (NUMBER_WORDS[lower[0]]) {
+    min = max = NUMBER_WORDS[lower[0]];
+    i = 1;
+  } else if (lower[0] === 'a' || lower[0] === 'an') {
+    min = max = 1;
+    weak = true;
+    i = 1;
+  } else if (lower[0] === 'half') {
+    min = max = 0.5;
+    weak = true;
+    i = lower[1] === 'a' ? 2 : 1;
+  }
+
+  // [size] unit [size] [package] — a size word only counts if a
+  // package follows it ("2 large packs", not "2 large avocados")
+  if (!unit && UNITS[lower[i]]) unit = UNITS[lower[i++]];
+  const sized = SIZES.includes(lower[i]) && PACKAGES[lower[i + 1]];
+  if (sized) {
+    pkg = `${lower[i]} ${PACKAGES[lower[i + 1]]}`;
+    i += 2;
+  } else if (PACKAGES[lower[i]]) {
+    pkg = PACKAGES[lower[i++]];
+  }
+
+  if (min === null) {
+    // "dozen eggs" — a bare unit means one of it
+    if (unit !== 'dozen' || i !== 1) return null;
+    min = max = 1;
+  }
+  if (weak && !unit && !pkg) return null;
+  if ((unit || pkg) && lower[i] === 'of') i++;
+
+  let rest = words.slice(i).join(' ');
+  let each = false;
+  if (/^each\b/i.test(rest)) {
+    each = true;
+    rest = rest.replace(/^each\b\s*/i, '');
+  }
+
+  // Don't consume the number if it looks like part of the name ("3 ms")
+  if (!unit && !pkg && /^[a-z]/.test(rest) && rest.length <= 2) return null;
+
+  return { quantity: makeQuantity({ min, max, unit, package: pkg, each }), rest };
+}
+
+// "x2" on an item multiplies whatever quantity it already has
+function multiplyQuantity(q, factor) {
+  if (!q) return makeQuantity({ min: factor, max: factor });
+  return makeQuantity({ ...q, min: q.min * factor, max: q.max * factor });
+}
+
+// Sum of two quantities, or null if they don't measure the same thing
+// ("2 dozen" + "6", "2 cans" + "1 bag")
+function addQuantities(a, b) {
+  if (a.unit !== b.unit || a.package !== b.package || a.each !== b.each) return null;
+  return makeQuantity({ ...a, min: a.min + b.min, max: a.max + b.max });
+}
+
+module.exports = {
+  parseQuantity,
+  multiplyQuantity,
+  addQuantities,
+  renderQuantity,
+  MEASURE_UNITS,
+};
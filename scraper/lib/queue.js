@@ -0,0 +1,64 @@
+// ============================================================
+// Lookup Queue — bounded concurrency, rate limit, ordered output
+// ============================================================
+// Lookups used to run one at a time. mapConcurrent() keeps up to N
+// in flight, a rate limiter spaces out the actual API requests, and
+// createOrderedLog() holds progress lines back until every earlier
+// item has printed, so the log still reads top to bottom.
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Run fn(item, index) over items with at most `concurrency` running at
+// once. Results come back in input order.
+async function mapConcurrent(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+  const workers = [];
+  for (let w = 0; w < Math.max(1, Math.min(concurrency, items.length)); w++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+  return results;
+}
+
+// Each call to wait() resolves no sooner than 1/perSecond after the
+// previous one. perSecond <= 0 disables the limit.
+function createRateLimiter(perSecond) {
+  const interval = perSecond > 0 ? 1000 / perSecond : 0;
+  let nextSlot = 0;
+  return {
+    async wait() {
+      if (!interval) return;
+      const now = Date.now();
+      const slot = Math.max(now, nextSlot);
+      nextSlot = slot + interval;
+      if (slot > now) await sleep(slot - now);
+    },
+  };
+}
+
+// write(index, text) buffers text until indexes 0..index-1 are written.
+function createOrderedLog(stream) {
+  const pending = new Map();
+  let next = 0;
+  return {
+    write(index, text) {
+      pending.set(index, text);
+      while (pending.has(next)) {
+        stream.write(pending.get(next));
+        pending.delete(next);
+        next++;
+      }
+    },
+  };
+}
+
+module.exports = { mapConcurrent, createRateLimiter, createOrderedLog, sleep };
@@ -0,0 +1,128 @@
+// ============================================================
+// Interactive Resolve — fix Unknown and low-confidence items
+// ============================================================
+// `shop.js list.txt --resolve` walks each Unknown or "(verify)" item
+// after lookups finish, along with items the store didn't place but
+// the writer's section header did ('fallback') and ones the store and
+// the header disagree on ('conflict'). For each one the shopper can:
+//
+//   1..N   pick one of the top API candidates (shown with aisles)
+//   s      search again with a different term
+//   m      type the aisle/bay by hand
+//   Enter  skip (leave it as is)
+//
+// Choices come back as { item, result, searchTerm } so the caller can
+// persist them (as overrides) for future runs of the same store.
+// searchTerm is the term the chosen candidate was found under, or
+// null for a hand-typed location.
+
+const readline = require('readline/promises');
+const { rankLocated, isLowConfidence } = require('./matcher');
+const { PRICE_FIELDS } = require('./prices');
+
+function needsResolve(item) {
+  return item.aisle === 'Unknown' || isLowConfidence(item) ||
+    item.sectionCheck === 'fallback' || item.sectionCheck === 'conflict';
+}
+
+function describeLoc(loc) {
+  return loc.bay ? `${loc.aisle} ${loc.bay}` : loc.aisle;
+}
+
+function describeStatus(item) {
+  if (item.aisle === 'Unknown') return 'Unknown';
+  if (item.sectionCheck === 'fallback') return `not found; ${item.aisle} from your list`;
+  const status = [describeLoc(item)];
+  if (isLowConfidence(item)) status.push(`verify: ${item.product}`);
+  if (item.sectionCheck === 'conflict') status.push(`your list: ${item.section}`);
+  return status.join(', ');
+}
+
+// opts.search(term, context) → candidates with .location attached
+// opts.parseAisleText(raw) → { aisle, bay }
+async function resolveItems(items, opts) {
+  const pending = items.filter(needsResolve);
+  const choices = [];
+  if (!pending.length) return choices;
+
+  const rl = readline.createInterface({
+    input: opts.input || process.stdin,
+    output: opts.output || process.stderr,
+  });
+  const out = opts.output || process.stderr;
+
+  try {
+    out.write(`\nResolving ${pending.length} item${pending.length !== 1 ? 's' : ''} (Enter to skip)...\n`);
+    for (let i = 0; i < pending.length; i++) {
+      const item = pending[i];
+      out.write(`\n[${i + 1}/${pending.length}] ${item.name} (lookup: "${item.lookupTerm}") — ${describeStatus(item)}\n`);
+
+      const choice = await resolveOne(rl, out, item, opts);
+      if (!choice) continue;
+      choices.push({ item, ...choice });
+      out.write(`  → ${describeLoc(choice.result)}\n`);
+    }
+  } finally {
+    rl.close();
+  }
+  return choices;
+}
+
+async function resolveOne(rl, out, item, opts) {
+  let term = item.alias || item.lookupTerm;
+  let candidates = [];
+  try {
+    candidates = rankLocated(await opts.search(term, item), item);
+  } catch (err) {
+    out.write(`  Search failed: ${err.message}\n`);
+  }
+
+  for (;;) {
+    if (candidates.length) {
+      candidates.forEach((c, n) => out.write(`  ${n + 1}) ${c.name} — ${describeLoc(c.location)}\n`));
+    } else {
+      out.write(`  (no candidates with a location for "${term}")\n`);
+    }
+    out.write('  s) search a different term   m) enter aisle/bay   Enter) skip\n');
+
+    const answer = (await rl.question('  > ')).trim().toLowerCase();
+    if (!answer) return null;
+
+    const pick = parseInt(answer, 10);
+    if (pick >= 1 && pick <= candidates.length) {
+      const c = candidates[pick - 1];
+      const result = { ...c.location, sku: c.sku, product: c.name, confidence: c.confidence };
+      for (const field of PRICE_FIELDS) result[field] = c[field] ?? null;
+      return { searchTerm: term, result };
+    }
+
+    if (answer === 's') {
+      const next = (await rl.question('  Search term: ')).trim();
+      if (!next) continue;
+      term = next.toLowerCase();
+      try {
+        candidates = rankLocated(await opts.search(term, item), item);
+      } catch (err) {
+        out.write(`  Search failed: ${err.message}\n`);
+        candidates = [];
+      }
+      continue;
+    }
+
+    if (answer === 'm') {
+      const aisleText = (await rl.question('  Aisle (e.g. "12", "Dairy"): ')).trim();
+      if (!aisleText) continue;
+      const loc = opts.parseAisleText(aisleText);
+      const bay = (await rl.question('  Bay (optional): ')).trim();
+      if (bay) loc.bay = bay;
+      return {
+        searchTerm: null,
+        result: loc,
+      };
+    }
+
+    out.write('  Please pick a number, s, m, or press Enter.\n');
+  }
+}
+
+module.exports = { resolveItems, needsResolve };
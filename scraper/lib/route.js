@@ -0,0 +1,236 @@
+// ============================================================
+// Route Planning — shortest walk through a store layout graph
+// ============================================================
+// A store profile can describe its floor as zones with coordinates,
+// joined by walkable connections:
+//
+//   "layout": {
+//     "unit": "ft",
+//     "entrance": "Entrance",
+//     "checkout": "Checkout",
+//     "zones": {
+//       "Entrance": { "at": [0, 0] },
+//       "Produce":  { "at": [0, 40] },
+//       "Aisle 1":  { "at": [30, 60] },
+//       "Dairy":    { "at": [200, 60], "cold": true },
+//       "Checkout": { "at": [100, 0] }
+//     },
+//     "connections": [["Entrance", "Produce"], ["Produce", "Aisle 1"], ...],
+//     "rules": { "coldLast": true, "skipEmpty": true }
+//   }
+//
+// Zone names are aisle names as they appear on the list. A connection
+// costs the straight-line distance between its zones. planRoute()
+// visits every zone the list touches once, starting at the entrance
+// and ending at checkout, by the shortest total walk:
+//
+//   coldLast   — zones marked "cold" (dairy, frozen) come after all
+//                the others, so they spend the least time in the cart
+//   skipEmpty  — only zones with items are stops (default); false
+//                walks every zone in the layout
+//
+// Up to EXACT_LIMIT stops are solved exactly (Held-Karp); longer
+// routes use nearest-neighbor plus 2-opt. Aisles that aren't zones
+// follow the route in walk order.
+
+const EXACT_LIMIT = 12;
+
+// ---- Layout validation (called by lib/storeProfiles.js) ----
+function validateLayout(file, layout) {
+  const fail = (msg) => { throw new Error(`Invalid store profile ${file}: layout ${msg}`); };
+  if (!layout || typeof layout !== 'object' || Array.isArray(layout)) fail('must be an object');
+
+  const zones = layout.zones;
+  if (!zones || typeof zones !== 'object' || !Object.keys(zones).length) fail('needs "zones"');
+  for (const [name, zone] of Object.entries(zones)) {
+    const at = zone && zone.at;
+    if (!Array.isArray(at) || at.length !== 2 || !at.every(Number.isFinite)) {
+      fail(`zone "${name}" needs "at": [x, y]`);
+    }
+  }
+  for (const end of ['entrance', 'checkout']) {
+    if (!zones[layout[end]]) fail(`"${end}" must name a zone`);
+  }
+
+  if (!Array.isArray(layout.connections)) fail('needs "connections"');
+  for (const c of layout.connections) {
+    if (!Array.isArray(c) || c.length !== 2 || !zones[c[0]] || !zones[c[1]]) {
+      fail(`connection ${JSON.stringify(c)} must join two zones`);
+    }
+  }
+
+  const rules = layout.rules || {};
+  for (const rule of ['coldLast', 'skipEmpty']) {
+    if (rules[rule] !== undefined && typeof rules[rule] !== 'boolean') fail(`rule "${rule}" must be true or false`);
+  }
+
+  const dist = shortestPaths(layout);
+  for (const name of Object.keys(zones)) {
+    if (dist.get(layout.entrance).get(name) === Infinity) fail(`zone "${name}" can't be reached from the entrance`);
+  }
+}
+
+// ---- All-pairs shortest walking distance (Floyd–Warshall) ----
+function shortestPaths(layout) {
+  const names = Object.keys(layout.zones);
+  const dist = new Map(names.map(a => [a, new Map(names.map(b => [b, a === b ? 0 : Infinity]))]));
+  for (const [a, b] of layout.connections) {
+    const [ax, ay] = layout.zones[a].at;
+    const [bx, by] = layout.zones[b].at;
+    const d = Math.hypot(ax - bx, ay - by);
+    if (d < dist.get(a).get(b)) {
+      dist.get(a).set(b, d);
+      dist.get(b).set(a, d);
+    }
+  }
+  for (const k of names) {
+    for (const i of names) {
+      const ik = dist.get(i).get(k);
+      if (ik === Infinity) continue;
+      for (const j of names) {
+        const d = ik + dist.get(k).get(j);
+        if (d < dist.get(i).get(j)) dist.get(i).set(j, d);
+      }
+    }
+  }
+  return dist;
+}
+
+function routeLength(path, dist) {
+  let total = 0;
+  for (let i = 1; i < path.length; i++) total += dist.get(path[i - 1]).get(path[i]);
+  return total;
+}
+
+// Held-Karp over the stops; a cold stop may only follow once every
+// warm stop is visited
+function exactRoute(start, end, stops, isCold, dist) {
+  const n = stops.length;
+  const warmMask = stops.reduce((m, s, i) => (isCold(s) ? m : m | (1 << i)), 0);
+  const full = (1 << n) - 1;
+  const cost = Array.from({ length: 1 << n }, () => new Array(n).fill(Infinity));
+  const prev = Array.from({ length: 1 << n }, () => new Array(n).fill(-1));
+  const allowed = (mask, j) => !isCold(stops[j]) || (mask & warmMask) === warmMask;
+
+  for (let j = 0; j < n; j++) {
+    if (allowed(0, j)) cost[1 << j][j] = dist.get(start).get(stops[j]);
+  }
+  for (let mask = 1; mask <= full; mask++) {
+    for (let last = 0; last < n; last++) {
+      const c = cost[mask][last];
+      if (c === Infinity) continue;
+      for (let j = 0; j < n; j++) {
+        if (mask & (1 << j) || !allowed(mask, j)) continue;
+        const next = mask | (1 << j);
+        const d = c + dist.get(stops[last]).get(stops[j]);
+        if (d < cost[next][j]) {
+          cost[next][j] = d;
+          prev[next][j] = last;
+        }
+      }
+    }
+  }
+
+  let best = -1;
+  let bestCost = Infinity;
+  for (let last = 0; last < n; last++) {
+    const d = cost[full][last] + dist.get(stops[last]).get(end);
+    if (d < bestCost) {
+      bestCost = d;
+      best = last;
+    }
+  }
+  const order = [];
+  for (let mask = full, last = best; last !== -1;) {
+    order.unshift(stops[last]);
+    const p = prev[mask][last];
+    mask &= ~(1 << last);
+    last = p;
+  }
+  return order;
+}
+
+// Nearest neighbor (warm stops first when coldLast), then 2-opt
+// reversals that stay within one phase
+function heuristicRoute(start, end, stops, isCold, dist) {
+  const order = [];
+  const left = new Set(stops);
+  let here = start;
+  while (left.size) {
+    const warmLeft = [...left].some(s => !isCold(s));
+    let next = null;
+    for (const s of left) {
+      if (warmLeft && isCold(s)) continue;
+      if (next === null || dist.get(here).get(s) < dist.get(here).get(next)) next = s;
+    }
+    order.push(next);
+    left.delete(next);
+    here = next;
+  }
+
+  const full = () => [start, ...order, end];
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < order.length - 1; i++) {
+      for (let k = i + 1; k < order.length; k++) {
+        if (isCold(order[i]) !== isCold(order[k])) break;
+        const before = routeLength(full(), dist);
+        const segment = order.slice(i, k + 1).reverse();
+        order.splice(i, segment.length, ...segment);
+        if (routeLength(full(), dist) < before - 1e-9) {
+          improved = true;
+        } else {
+          order.splice(i, segment.length, ...segment.reverse());
+        }
+      }
+    }
+  }
+  return order;
+}
+
+// aisles: aisle names on the list → { order, distance, offRoute, cold, rules }
+//   order     — zones to visit, in order (no entrance/checkout)
+//   distance  — entrance → stops → checkout
+//   offRoute  — aisles with no zone in the layout
+//   cold      — the stops coldLast holds back to the end (else [])
+function planRoute(layout, aisles) {
+  const rules = { coldLast: false, skipEmpty: true, ...(layout.rules || {}) };
+  const ends = new Set([layout.entrance, layout.checkout]);
+  const wanted = rules.skipEmpty ? aisles : Object.keys(layout.zones);
+  const stops = [...new Set(wanted)].filter(a => layout.zones[a] && !ends.has(a));
+  const offRoute = [...new Set(aisles)].filter(a => !layout.zones[a]);
+
+  const dist = shortestPaths(layout);
+  const isCold = zone => rules.coldLast && !!layout.zones[zone].cold;
+  const solve = stops.length <= EXACT_LIMIT ? exactRoute : heuristicRoute;
+  const order = stops.length ? solve(layout.entrance, layout.checkout, stops, isCold, dist) : [];
+  const distance = routeLength([layout.entrance, ...order, layout.checkout], dist);
+  return { order, distance, offRoute, cold: order.filter(isCold), rules };
+}
+
+// Route → a walk-order map for groupByAisle(): route stops first, then
+// off-route aisles by the store's walk order, then the cold stops
+// coldLast held back, Unknown last
+function routeWalkOrder(route, walkOrder) {
+  const order = {};
+  const cold = new Set(route.cold || []);
+  route.order.forEach((zone, i) => { order[zone] = (cold.has(zone) ? 5000 : 0) + i + 1; });
+  for (const aisle of route.offRoute) {
+    if (aisle !== 'Unknown') order[aisle] = 1000 + (walkOrder[aisle] ?? 98);
+  }
+  order['Unknown'] = 10000;
+  return order;
+}
+
+// The "Route:" line in the output — which strategy ordered the list.
+// route: { strategy: 'layout' | 'walk order', source, ...planRoute() }
+function describeRoute(route) {
+  if (route.strategy !== 'layout') return `walk order (${route.source})`;
+  const unit = route.unit ? ` ${route.unit}` : '';
+  const rules = route.rules.coldLast ? ', cold items last' : '';
+  const stops = route.order.length;
+  return `store layout — ${stops} stop${stops !== 1 ? 's' : ''}, ${Math.round(route.distance)}${unit} walk${rules}`;
+}
+
+module.exports = { planRoute, routeWalkOrder, describeRoute, validateLayout, shortestPaths };
@@ -0,0 +1,505 @@
+// ============================================================
+// Shopper — the list → aisles → checklist pipeline as an API
+// ============================================================
+//
+//   const { createShopper, loadCache } = require('./scraper/lib/shopper');
+//
+//   const shopper = createShopper({ storeId: '592', cache: loadCache('cache.json', '592') });
+//   const { items, directives } = shopper.parse(text);
+//   const { summary } = await shopper.resolveLocations(items);
+//   await shopper.resolveDirectives(directives, items);
+//   const groups = shopper.group(items, shopper.route(items, directives), directives);
+//   const md = shopper.render(groups, { sourceName: 'list.txt', rawText: text });
+//   const json = shopper.render(groups, { format: 'json', directives });
+//   shopper.save();
+//
+// Everything a run depends on is passed in, and nothing is read or
+// written at require time:
+//
+//   storeId      store to shop (default 592)
+//   profile      store profile (default: loadStoreProfile(storeId))
+//   cache        cache backend from loadCache() (default: in memory only)
+//   api          HTTP client from createApiClient() (default: live API)
+//   overrides    per-store overrides (default: loadOverrides(storeId))
+//   staples      household staples from loadStaples() (default: none)
+//   vocabulary   parser vocabulary from loadVocabulary() (default: built-in)
+//   history      trip history from loadHistory() (default: in memory only)
+//   maxAgeDays   cache freshness (default 90)
+//   concurrency  lookups in flight at once (default 4)
+//
+// shop.js is a thin command-line wrapper over this module.
+
+const { parseShoppingList, normalizeInput } = require('./nlp-parser');
+const { combineLists } = require('./combine');
+const { loadStaples, addDueStaples, saveStaples } = require('./staples');
+const {
+  loadHistory, saveHistory, recordTrip, oftenBought, pastItems, sectionWeights,
+} = require('./history');
+const { directiveTerm, directiveAisle, onList, MAX_IDEAS } = require('./suggestions');
+const { priceInfo, overBudget, PRICE_FIELDS } = require('./prices');
+const { AISLE_SORT_ORDER } = require('./aisleData');
+const { loadStoreProfile, parseAisleText, describeStore } = require('./storeProfiles');
+const { SEED_ITEMS, buildDraftProfile } = require('./probe');
+const {
+  rankCandidates, rankLocated, chooseCandidate, leaderSettled, isLowConfidence, sectionAisles,
+} = require('./matcher');
+const { createApiClient } = require('./api');
+const { mapConcurrent } = require('./queue');
+const { groupByAisle } = require('./markdown');
+const { planRoute, routeWalkOrder } = require('./route');
+const { getFormat } = require('./formats');
+const {
+  loadCache, saveCache, checkCache, storeResult, storeMiss, DEFAULT_MAX_AGE_DAYS,
+} = require('./cache');
+const {
+  loadOverrides, applyOverrides, setAlias, setLocation, saveOverrides,
+} = require('./overrides');
+
+const DEFAULT_STORE_ID = '592';
+const DEFAULT_CONCURRENCY = 4;
+
+// ---- Search candidates: how many to pull, how many to fetch details for ----
+const SEARCH_TAKE = 8;
+const DETAIL_CANDIDATES = 3;
+
+function formatLoc(entry) {
+  return entry.bay ? `${entry.aisle} ${entry.bay}` : entry.aisle;
+}
+
+// Counts for the "(N items, X found, ...)" line. API errors are
+// Unknown too, but are counted apart from real misses. Items placed
+// by the writer's section header (fromHeaders) aren't "found";
+// conflicts are found items the header disagrees with; overBudget
+// items had nothing under their price ceiling.
+function summarize(items) {
+  const errors = items.filter(it => it.error).length;
+  const fromHeaders = items.filter(it => !it.error && it.sectionCheck === 'fallback').length;
+  const notFound = items.filter(it => !it.error && it.aisle === 'Unknown').length;
+  const conflicts = items.filter(it => it.sectionCheck === 'conflict').length;
+  return {
+    total: items.length,
+    found: items.length - errors - notFound - fromHeaders,
+    notFound,
+    errors,
+    fromHeaders,
+    conflicts,
+    overBudget: items.filter(it => it.overBudget).length,
+  };
+}
+
+// Weigh the store's answer against the writer's section header (in
+// place): no location → use the header ('fallback'), otherwise
+// 'agree' or 'conflict'; null when the header names no place
+function checkSection(item) {
+  const aisles = sectionAisles(item.section);
+  item.sectionCheck = null;
+  if (!aisles) return;
+  if (item.aisle === 'Unknown') {
+    item.aisle = aisles[0];
+    item.bay = '';
+    item.sectionCheck = 'fallback';
+  } else {
+    item.sectionCheck = aisles.includes(item.aisle) ? 'agree' : 'conflict';
+  }
+}
+
+function createShopper(opts = {}) {
+  const storeId = String(opts.storeId || DEFAULT_STORE_ID);
+  const profile = opts.profile || loadStoreProfile(storeId, AISLE_SORT_ORDER);
+  const cache = opts.cache || loadCache(null, storeId);
+  const api = opts.api || createApiClient();
+  const maxAgeDays = opts.maxAgeDays ?? DEFAULT_MAX_AGE_DAYS;
+  const concurrency = opts.concurrency || DEFAULT_CONCURRENCY;
+
+  const aisleText = raw => parseAisleText(raw, profile);
+  const overrides = opts.overrides || loadOverrides(storeId, aisleText);
+  const staples = opts.staples || loadStaples(null);
+  const history = opts.history || loadHistory(null);
+  const vocabulary = opts.vocabulary || {};
+  let overridesChanged = false;
+
+  // Lookups run concurrently, so the same term can be requested twice
+  // at once ("coke" from two lines); the second waits on the first.
+  const inflight = new Map();
+
+  // ---- Parse: text → { items, directives, done } ----
+  // done lists the lines already checked off in the input ("- [x]
+  // milk"); they aren't items (see normalizeInput in lib/nlp-parser.js)
+  function parse(text) {
+    const parsed = parseShoppingList(text, vocabulary);
+    return {
+      items: parsed.filter(p => p.name && !p.directive),
+      directives: parsed.filter(p => p.directive),
+      done: normalizeInput(text).done,
+    };
+  }
+
+  // ---- Parse several lists into one: [{ source, text }] → { items, directives, done } ----
+  // Same-product items are merged and tagged with their sources (lib/combine.js)
+  function parseLists(lists) {
+    const parsed = lists.map(l => ({ source: l.source, ...parse(l.text) }));
+    return { ...combineLists(parsed), done: parsed.flatMap(p => p.done) };
+  }
+
+  // ---- Staples: append the due ones missing from the list ----
+  // Returns { items, added }; the added items carry staple: true and
+  // are looked up like any other item.
+  function addStaples(items, { now = Date.now() } = {}) {
+    const added = addDueStaples(staples, items, now);
+    items.push(...added);
+    return { items, added };
+  }
+
+  // Search, rank, and fetch locations (and prices, lib/prices.js) for
+  // the front-runners so the section header and any price ceiling can
+  // weigh in. With pick set (a single lookup), the leader's details
+  // come first and the others' only when they could still change the
+  // pick (leaderSettled(), lib/matcher.js). Returns [] when the search
+  // is empty.
+  async function searchCandidates(itemName, context = {}, { pick = false } = {}) {
+    const searchData = await api.get(
+      `/stores/${storeId}/multisearch?q=${encodeURIComponent(itemName)}&take=${SEARCH_TAKE}`
+    );
+
+    const products = searchData.items?.[0]?.items || [];
+    const finalists = rankCandidates(products, itemName, context).slice(0, DETAIL_CANDIDATES);
+    const fetchDetail = async (candidate) => {
+      const detail = await api.get(`/stores/${storeId}/products/${candidate.sku}`);
+      const loc = detail.productLocation;
+      candidate.location = loc && loc.aisle ? aisleText(loc.aisle) : null;
+      Object.assign(candidate, priceInfo(detail));
+    };
+
+    let pending = finalists;
+    if (pick && finalists.length) {
+      await fetchDetail(finalists[0]);
+      pending = leaderSettled(finalists, context) ? [] : finalists.slice(1);
+    }
+    await Promise.all(pending.map(fetchDetail));
+    return finalists;
+  }
+
+  // Overrides first: a fixed location wins outright, an alias swaps
+  // the term used for the cache and API. Writes one progress line
+  // (prefix → result) through log().
+  async function lookupItem(itemName, prefix, log, context = {}) {
+    const ov = applyOverrides(overrides, itemName);
+    if (ov.location) {
+      log(`${prefix} → ${formatLoc(ov.location)} (override)\n`);
+      return { ...ov.location, override: true };
+    }
+    if (ov.alias) {
+      const result = await lookupTerm(ov.term, `${prefix} = ${ov.term}`, log, context);
+      return { ...result, alias: ov.term };
+    }
+    return lookupTerm(itemName, prefix, log, context);
+  }
+
+  // context: { category, section } from the parsed item, used to pick the
+  // best of several search candidates (see lib/matcher.js)
+  async function lookupTerm(itemName, prefix, log, context) {
+    const cacheKey = itemName.toLowerCase().trim();
+    const checked = checkCache(cache, cacheKey, maxAgeDays);
+    const { entry: cached } = checked;
+    // A cached pick over this item's ceiling is looked up again, unless
+    // it was picked under that ceiling (or a tighter one) and nothing fit
+    const pickedUnder = cached && typeof cached.maxPrice === 'number' && cached.maxPrice <= context.maxPrice;
+    const repick = overBudget(cached || {}, context.maxPrice) && !pickedUnder;
+    const status = checked.status === 'fresh' && repick ? 'expired' : checked.status;
+    if (status === 'fresh') {
+      log(`${prefix} → ${formatLoc(cached)} (cached)\n`);
+      return cached;
+    }
+    if (status === 'negative') {
+      log(`${prefix} → Unknown (cached miss, retry after ${cached.retryAfter.slice(0, 10)})\n`);
+      return cached;
+    }
+
+    if (inflight.has(cacheKey)) {
+      const result = await inflight.get(cacheKey);
+      log(`${prefix} → ${formatLoc(result)} (same as earlier lookup)\n`);
+      return result;
+    }
+
+    const pending = queryTerm(itemName, cacheKey, cached, status, context);
+    inflight.set(cacheKey, pending.then(r => r.result));
+    try {
+      const { result, note } = await pending;
+      log(`${prefix} → ${note}\n`);
+      return result;
+    } finally {
+      inflight.delete(cacheKey);
+    }
+  }
+
+  // The API half of lookupTerm. Returns { result, note } — note is the
+  // progress text. Errors come back as an Unknown result with `error`
+  // set, so the summary can tell them apart from real misses.
+  async function queryTerm(itemName, cacheKey, cached, status, context) {
+    try {
+      const finalists = await searchCandidates(itemName, context, { pick: true });
+      if (!finalists.length) {
+        return { result: storeMiss(cache, cacheKey, 'no results'), note: 'Unknown (no results)' };
+      }
+
+      const best = chooseCandidate(finalists, context);
+      if (!best) {
+        return { result: storeMiss(cache, cacheKey, 'no location'), note: 'Unknown (no location)' };
+      }
+
+      const result = storeResult(cache, cacheKey, {
+        ...best.location,
+        ...best,
+        product: best.name,
+        maxPrice: context.maxPrice,
+      });
+      const flag = isLowConfidence(result) ? ' — verify' : '';
+      const refreshed = status === 'expired' ? ', refreshed' : '';
+      return {
+        result,
+        note: `${formatLoc(result)} (${result.product}, ${result.confidence}${flag}${refreshed})`,
+      };
+    } catch (err) {
+      // A stale location beats an Unknown when the refresh fails
+      if (status === 'expired') {
+        return { result: cached, note: `${formatLoc(cached)} (stale; refresh failed: ${err.message})` };
+      }
+      return {
+        result: { aisle: 'Unknown', bay: '', error: err.message },
+        note: `ERROR: ${err.message}`,
+      };
+    }
+  }
+
+  // ---- Resolve locations: fills aisle, bay, product, confidence,
+  // override, alias, error, sectionCheck, the price fields
+  // (lib/prices.js) and overBudget on each item (in place) ----
+  // onProgress(index, line) gets one progress line per item, e.g.
+  // "  [3/12] coke → Aisle 8 (Coca-Cola 2L, 0.91)" — an "or" item gets
+  // a line per alternative in one call. Section headers weigh in by
+  // their track record in the history (sectionWeights()).
+  async function resolveLocations(items, { onProgress = () => {} } = {}) {
+    const weights = sectionWeights(history);
+    await mapConcurrent(items, concurrency, async (item, i) => {
+      // An "or" item logs a line per alternative; they go out together
+      const lines = [];
+      const log = text => lines.push(text);
+      const context = { ...item, sectionWeight: item.sectionUncertain ? weights.hedged : weights.sure };
+      const prefix = `  [${i + 1}/${items.length}]`;
+      const loc = (item.alternatives && await lookupAlternatives(item.alternatives, prefix, log, context)) ||
+        await lookupItem(item.lookupTerm, `${prefix} ${item.lookupTerm}`, log, context);
+      onProgress(i, lines.join(''));
+      item.aisle = loc.aisle;
+      item.bay = loc.bay;
+      item.product = loc.product || null;
+      item.confidence = loc.confidence ?? null;
+      item.override = loc.override || false;
+      item.alias = loc.alias || null;
+      item.error = loc.error || null;
+      for (const field of PRICE_FIELDS) item[field] = loc[field] ?? null;
+      item.overBudget = overBudget(item, item.maxPrice);
+      checkSection(item);
+    });
+    return { items, summary: summarize(items) };
+  }
+
+  // "or" alternatives from the parser: each is looked up on its own
+  // and gets aisle, bay, product and price (in place). Returns the
+  // location of the one earliest in the walk order, or null when none
+  // resolved — the caller then falls back to the shared noun.
+  async function lookupAlternatives(alternatives, prefix, log, context) {
+    const rank = aisle => profile.walkOrder[aisle] ?? 98;
+    let best = null;
+    for (const alt of alternatives) {
+      const loc = await lookupItem(alt.lookupTerm, `${prefix} ${alt.lookupTerm}`, log, context);
+      alt.aisle = loc.aisle;
+      alt.bay = loc.bay || '';
+      alt.product = loc.product || null;
+      alt.price = loc.price ?? null;
+      if (loc.aisle !== 'Unknown' && (!best || rank(loc.aisle) < rank(best.aisle))) best = loc;
+    }
+    return best;
+  }
+
+  // ---- Directives → suggestions: fills aisle and ideas on each
+  // directive (in place); see lib/suggestions.js ----
+  // items are the list's items, so ideas skip what's already on it.
+  // Search failures just mean fewer ideas.
+  async function resolveDirectives(directives, items, { onProgress = () => {} } = {}) {
+    const terms = items.map(it => it.lookupTerm);
+    await mapConcurrent(directives, concurrency, async (d, i) => {
+      const term = directiveTerm(d);
+      let found = [];
+      if (term) {
+        try {
+          found = rankLocated(await searchCandidates(term, d), d)
+            .filter(c => !onList(c.name, terms));
+        } catch (err) {
+          // no search ideas this time
+        }
+      }
+      d.aisle = directiveAisle(d, found);
+
+      const ideas = pastItems(history, { aisle: d.aisle, category: d.category })
+        .filter(p => !onList(p.name, terms))
+        .map(p => ({ name: p.name, aisle: p.aisle, bay: p.bay, from: 'history' }));
+      for (const c of found) {
+        if (!ideas.some(idea => idea.name === c.name)) {
+          ideas.push({ name: c.name, aisle: c.location.aisle, bay: c.location.bay, from: 'search' });
+        }
+      }
+      d.ideas = ideas.slice(0, MAX_IDEAS);
+      const where = d.aisle || 'Suggestions';
+      onProgress(i, `  [${i + 1}/${directives.length}] "${d.directive}" → ${where} (${d.ideas.length} idea${d.ideas.length !== 1 ? 's' : ''})\n`);
+    });
+    return directives;
+  }
+
+  // Persist choices from lib/resolve.js. A better search term becomes
+  // an alias (the cache keeps its result); a picked or hand-typed
+  // location becomes a fixed one. Items sharing the term are updated.
+  function applyResolutions(items, choices) {
+    for (const { item, result, searchTerm } of choices) {
+      const aliased = searchTerm && searchTerm !== item.lookupTerm;
+      if (aliased) {
+        setAlias(overrides, item.lookupTerm, searchTerm);
+        storeResult(cache, searchTerm, result);
+      } else {
+        setLocation(overrides, item.lookupTerm, result);
+      }
+      for (const same of items.filter(it => it.lookupTerm === item.lookupTerm)) {
+        same.aisle = result.aisle;
+        same.bay = result.bay;
+        same.product = result.product || null;
+        same.confidence = aliased ? result.confidence : null;
+        same.override = !aliased;
+        same.alias = aliased ? searchTerm : null;
+        same.error = null;
+        for (const field of PRICE_FIELDS) same[field] = result[field] ?? null;
+        same.overBudget = overBudget(same, same.maxPrice);
+        checkSection(same);
+      }
+    }
+    if (choices.length) overridesChanged = true;
+    return { items, summary: summarize(items) };
+  }
+
+  // ---- Route: which order the aisles are walked in ----
+  // With a layout in the store profile, the shortest walk through the
+  // aisles on the list (lib/route.js); otherwise the walk order.
+  // Returns { strategy, source, walkOrder, ... } — pass it to group()
+  // and render(). Placed directives count as stops too.
+  function route(items, directives = []) {
+    if (!profile.layout) {
+      const source = profile.customWalkOrder ? 'store profile' : 'default AISLE_SORT_ORDER';
+      return { strategy: 'walk order', source, walkOrder: profile.walkOrder };
+    }
+    const aisles = [...items.map(it => it.aisle || 'Unknown'), ...directives.filter(d => d.aisle).map(d => d.aisle)];
+    const plan = planRoute(profile.layout, aisles);
+    return {
+      strategy: 'layout',
+      source: 'store profile',
+      unit: profile.layout.unit || null,
+      ...plan,
+      walkOrder: routeWalkOrder(plan, profile.walkOrder),
+    };
+  }
+
+  // ---- Group & sort by the route and bay order → [{ aisle, items, prompts }] ----
+  // directives placed by resolveDirectives() join their aisle's group
+  function group(items, planned = route(items), directives = []) {
+    return groupByAisle(items, planned.walkOrder, profile.bayOrder, directives);
+  }
+
+  // ---- History: "often bought" suggestions, then record the trip ----
+  // excludeFile leaves out an earlier run of the trip being written
+  function suggest(items, { excludeFile = null } = {}) {
+    return oftenBought(history, items, { excludeFile });
+  }
+
+  // file identifies the trip (a re-run replaces its record); items are
+  // recorded with their locations and checked state
+  function recordHistory(items, { file, now = new Date() }) {
+    return recordTrip(history, { file, date: now.toISOString(), storeId, items });
+  }
+
+  // ---- Render: groups → file contents in the chosen format ----
+  // opts: { format, directives, dropped, oftenBought, route, now,
+  // sourceName, rawText } — format is one of lib/formats.js (default
+  // markdown), dropped comes from mergeChecklist(), oftenBought from
+  // suggest(), route from route(), now defaults to the current time
+  function render(groups, opts = {}) {
+    return getFormat(opts.format || 'markdown').render({
+      groups,
+      directives: opts.directives || [],
+      dropped: opts.dropped || [],
+      oftenBought: opts.oftenBought || [],
+      route: opts.route || null,
+      store: describeStore(profile),
+      now: opts.now || new Date(),
+      sourceName: opts.sourceName || 'list',
+      rawText: opts.rawText || '',
+    });
+  }
+
+  // ---- Probe: look up SEED_ITEMS and draft a walk order ----
+  // Returns { draft, results }; writing the draft is up to the caller.
+  async function probe({ onProgress = () => {} } = {}) {
+    const total = SEED_ITEMS.length;
+    const results = await mapConcurrent(SEED_ITEMS, concurrency, async (term, i) => {
+      const log = text => onProgress(i, text);
+      const loc = await lookupItem(term, `  [${i + 1}/${total}] ${term}`, log);
+      return { term, aisle: loc.aisle, bay: loc.bay, error: loc.error || null };
+    });
+    return { draft: buildDraftProfile(profile, results, AISLE_SORT_ORDER), results };
+  }
+
+  // Write the cache, the overrides file if resolutions changed it, the
+  // staples file if staples were included, and any recorded trips
+  function save() {
+    saveCache(cache);
+    saveStaples(staples);
+    saveHistory(history);
+    if (overridesChanged) {
+      saveOverrides(overrides);
+      overridesChanged = false;
+    }
+  }
+
+  return {
+    storeId,
+    profile,
+    cache,
+    api,
+    overrides,
+    staples,
+    history,
+    parse,
+    parseLists,
+    parseAisleText: aisleText,
+    addStaples,
+    searchCandidates,
+    resolveLocations,
+    applyResolutions,
+    resolveDirectives,
+    route,
+    group,
+    suggest,
+    recordHistory,
+    render,
+    probe,
+    save,
+  };
+}
+
+module.exports = {
+  createShopper,
+  summarize,
+  formatLoc,
+  loadCache,
+  loadStaples,
+  loadHistory,
+  createApiClient,
+  DEFAULT_STORE_ID,
+  DEFAULT_CONCURRENCY,
+};
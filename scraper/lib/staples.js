@@ -0,0 +1,125 @@
+// ============================================================
+// Staples — recurring items added to each trip when they're due
+// ============================================================
+//
+// scraper/staples.json (or --staples=PATH) lists what the household
+// buys on a schedule. Keys are written like list lines; values are a
+// cadence, or an object with the cadence and the last time the staple
+// went on a trip (written back by the tool):
+//
+//   {
+//     "Dz eggs x2":    "weekly",
+//     "milk":          { "every": "weekly", "lastIncluded": "2026-02-14T22:00:00.000Z" },
+//     "half and half": "every 2 weeks",
+//     "seltzer":       "biweekly"
+//   }
+//
+// Cadences: daily, weekly, biweekly, monthly, or "every N days/weeks/
+// months". A staple is due once its cadence has passed (less a day of
+// slack, so a weekly staple is due on a Saturday after last Sunday's
+// trip). Due staples that aren't already on the list are added to a
+// "Staples" group; either way they count as included.
+
+const fs = require('fs');
+const { parseShoppingList } = require('./nlp-parser');
+const { normalizeTerm } = require('./combine');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SLACK_DAYS = 1;
+
+const CADENCE_WORDS = { daily: 1, weekly: 7, biweekly: 14, fortnightly: 14, monthly: 30 };
+const CADENCE_UNITS = { day: 1, week: 7, month: 30 };
+
+// "every 2 weeks" → 14; null if unrecognized
+function cadenceDays(text) {
+  const t = text.toLowerCase().trim();
+  if (CADENCE_WORDS[t]) return CADENCE_WORDS[t];
+  const m = t.match(/^(?:every\s+)?(?:(\d+)\s*)?(day|week|month)s?$/);
+  if (!m || (!m[1] && !t.startsWith('every'))) return null;
+  return (m[1] ? parseInt(m[1], 10) : 1) * CADENCE_UNITS[m[2]];
+}
+
+function validate(file, data, vocabulary) {
+  const fail = (msg) => { throw new Error(`Invalid staples file ${file}: ${msg}`); };
+  if (!data || typeof data !== 'object' || Array.isArray(data)) fail('expected a JSON object');
+
+  for (const [k, v] of Object.entries(data)) {
+    const every = typeof v === 'string' ? v : v && v.every;
+    if (typeof every !== 'string' || cadenceDays(every) === null) {
+      fail(`"${k}" needs a cadence like "weekly" or "every 2 weeks"`);
+    }
+    if (v.lastIncluded !== undefined && Number.isNaN(Date.parse(v.lastIncluded))) {
+      fail(`"${k}".lastIncluded must be a date`);
+    }
+    const [item] = parseShoppingList(k, vocabulary).filter(p => p.name);
+    if (!item) fail(`"${k}" is not an item`);
+  }
+}
+
+// file === null (or a missing file) gives an empty staples list.
+// Keys are parsed with the household vocabulary (lib/vocabulary.js).
+function loadStaples(file, vocabulary = {}) {
+  let data = {};
+  if (file && fs.existsSync(file)) {
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (err) {
+      throw new Error(`Invalid staples file ${file}: ${err.message}`);
+    }
+    validate(file, data, vocabulary);
+  }
+
+  const entries = Object.entries(data).map(([key, v]) => {
+    const every = typeof v === 'string' ? v : v.every;
+    return {
+      key,
+      item: parseShoppingList(key, vocabulary).find(p => p.name),
+      every,
+      everyDays: cadenceDays(every),
+      lastIncluded: (typeof v === 'object' && v.lastIncluded) || null,
+    };
+  });
+  return { file, entries, changed: false };
+}
+
+// Included earlier today still counts, so re-running today's list
+// doesn't move a staple to Dropped
+function isDue(entry, now) {
+  if (!entry.lastIncluded) return true;
+  const last = Date.parse(entry.lastIncluded);
+  if (new Date(last).toDateString() === new Date(now).toDateString()) return true;
+  return (now - last) / DAY_MS >= entry.everyDays - SLACK_DAYS;
+}
+
+// Add due staples missing from items (tagged staple: true) and mark
+// every due staple as included. Returns the added items.
+function addDueStaples(staples, items, now = Date.now()) {
+  const onList = new Set(items.map(it => normalizeTerm(it.lookupTerm)));
+  const added = [];
+  for (const entry of staples.entries) {
+    if (!isDue(entry, now)) continue;
+    if (!onList.has(normalizeTerm(entry.item.lookupTerm))) {
+      added.push({ ...entry.item, staple: true });
+    }
+    entry.lastIncluded = new Date(now).toISOString();
+    staples.changed = true;
+  }
+  return added;
+}
+
+function saveStaples(staples) {
+  if (!staples.file || !staples.changed) return;
+  const data = {};
+  for (const e of staples.entries) {
+    data[e.key] = e.lastIncluded ? { every: e.every, lastIncluded: e.lastIncluded } : e.every;
+  }
+  fs.writeFileSync(staples.file, JSON.stringify(data, null, 2) + '\n', 'utf-8');
+  staples.changed = false;
+}
+
+module.exports = {
+  loadStaples,
+  addDueStaples,
+  saveStaples,
+  cadenceDays,
+};
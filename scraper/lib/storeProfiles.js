@@ -0,0 +1,167 @@
+// ============================================================
+// Store Profiles — per-store name, address, walk order, departments
+// ============================================================
+//
+// Each store we shop at gets a JSON profile in scraper/stores/<id>.json:
+//
+//   {
+//     "name":        "ShopRite #592",
+//     "address":     "South Plainfield, NJ",
+//     "walkOrder":   { "Produce": 1, "Bakery": 2, ... },   (optional)
+//     "departments": [ "PRODUCE", "BAKERY", ... ],         (optional)
+//     "deptDisplay": { "APPY": "Deli", ... },              (optional)
+//     "bayOrder":    { "Produce": [ "LEFT WALL", "ISLAND", ... ], ... }
+//                                                          (optional)
+//     "layout":      { "zones": {...}, "connections": [...], ... }
+//                                                          (optional)
+//   }
+//
+// bayOrder walks the bays inside a department (see lib/bays.js);
+// departments without one use DEFAULT_BAY_ORDER. A layout (see
+// lib/route.js) replaces the walk order with a planned route.
+//
+// Missing fields fall back to the defaults below (walk order from
+// lib/aisleData.js). A store with no profile file gets a generic
+// profile built entirely from the defaults.
+
+const fs = require('fs');
+const path = require('path');
+const { AISLE_SORT_ORDER } = require('./aisleData');
+const { normalizeBay } = require('./bays');
+const { validateLayout } = require('./route');
+
+const STORES_DIR = path.resolve(__dirname, '..', 'stores');
+
+// ---- Department names for parsing raw aisle text ----
+const DEFAULT_DEPARTMENTS = [
+  'INTERNATIONAL CHEESE', 'CUSTOMER SERVICE', 'DAIRY/KOSHER',
+  'PRODUCE', 'BAKERY', 'BACKWALL', 'DELI', 'APPY', 'MEAT', 'SEAFOOD',
+  'FROZEN', 'PHARMACY', 'FLORAL', 'BREAD', 'DAIRY', 'HBC', 'NATURAL',
+  'KOSHER', 'GROCERY', 'BULK',
+];
+
+const DEFAULT_DEPT_DISPLAY = {
+  'DAIRY/KOSHER': 'Dairy',       'DAIRY': 'Dairy',
+  'PRODUCE': 'Produce',          'BAKERY': 'Bakery',
+  'DELI': 'Deli',                'APPY': 'Deli',
+  'MEAT': 'Meat',                'SEAFOOD': 'Seafood',
+  'FROZEN': 'Frozen',            'PHARMACY': 'Pharmacy',
+  'FLORAL': 'Floral',            'BREAD': 'Bread',
+  'HBC': 'Health & Beauty',      'NATURAL': 'Natural',
+  'KOSHER': 'Kosher',            'GROCERY': 'Grocery',
+  'BULK': 'Bulk',
+  'INTERNATIONAL CHEESE': 'International Cheese',
+  'CUSTOMER SERVICE': 'Customer Service',
+  'BACKWALL': 'Backwall',
+};
+
+function profilePath(storeId) {
+  return path.join(STORES_DIR, `${storeId}.json`);
+}
+
+function readProfileFile(storeId) {
+  const file = profilePath(storeId);
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Invalid store profile ${file}: ${err.message}`);
+  }
+}
+
+// Merge profile department overrides over the defaults. Departments are
+// matched with startsWith, so longer names must be tried first
+// ("DAIRY/KOSHER" before "DAIRY").
+function buildDepartments(raw) {
+  const deptDisplay = { ...DEFAULT_DEPT_DISPLAY, ...(raw.deptDisplay || {}) };
+  const departments = [...(raw.departments || DEFAULT_DEPARTMENTS)];
+  for (const dept of Object.keys(raw.deptDisplay || {})) {
+    if (!departments.includes(dept)) departments.push(dept);
+  }
+  departments.sort((a, b) => b.length - a.length);
+  return { departments, deptDisplay };
+}
+
+// { "Produce": ["left wall", ...] } → upper-cased lists, checked
+function buildBayOrder(storeId, raw) {
+  const bayOrder = {};
+  if (raw === undefined) return bayOrder;
+  const fail = (msg) => { throw new Error(`Invalid store profile ${profilePath(storeId)}: ${msg}`); };
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) fail('"bayOrder" must be an object');
+  for (const [aisle, order] of Object.entries(raw)) {
+    if (!Array.isArray(order) || !order.every(b => typeof b === 'string' && b.trim())) {
+      fail(`"bayOrder.${aisle}" must be a list of bay names`);
+    }
+    bayOrder[aisle] = order.map(normalizeBay);
+  }
+  return bayOrder;
+}
+
+function loadStoreProfile(storeId, defaultWalkOrder = AISLE_SORT_ORDER) {
+  const raw = readProfileFile(storeId);
+  const generic = !raw;
+  const src = raw || {};
+
+  const walkOrder = { ...(src.walkOrder || defaultWalkOrder) };
+  if (walkOrder['Unknown'] === undefined) walkOrder['Unknown'] = 99;
+  if (src.layout !== undefined) validateLayout(profilePath(storeId), src.layout);
+
+  return {
+    storeId: String(storeId),
+    name: src.name || `ShopRite #${storeId}`,
+    address: src.address || '',
+    walkOrder,
+    customWalkOrder: !!src.walkOrder,
+    layout: src.layout || null,
+    bayOrder: buildBayOrder(storeId, src.bayOrder),
+    ...buildDepartments(src),
+    generic,
+  };
+}
+
+// Raw API aisle text → { aisle, bay }: "12A" → Aisle 12 / A,
+// "DAIRY/KOSHER BACK WALL" → Dairy / BACK WALL, using the profile's
+// departments. Anything unrecognized is title-cased as its own aisle.
+function parseAisleText(raw, profile) {
+  if (!raw) return { aisle: 'Unknown', bay: '' };
+  let text = raw.trim();
+  if (!text) return { aisle: 'Unknown', bay: '' };
+
+  text = text.replace(/^Aisle\s+/i, '').trim();
+
+  const numMatch = text.match(/^AISLE\s*(\d+)$/i) || text.match(/^(\d+)([A-Za-z]?)$/);
+  if (numMatch) {
+    const num = parseInt(numMatch[1], 10);
+    return { aisle: `Aisle ${num}`, bay: numMatch[2] || '' };
+  }
+
+  const upper = text.toUpperCase();
+  for (const dept of profile.departments) {
+    if (upper.startsWith(dept)) {
+      let remainder = text.substring(dept.length).trim();
+      remainder = remainder.replace(/^[\/,;:\-]+\s*/, '').trim();
+      const aisleName = profile.deptDisplay[dept] || dept.charAt(0) + dept.slice(1).toLowerCase();
+      return { aisle: aisleName, bay: remainder };
+    }
+  }
+
+  const titleCased = text.split(/\s+/)
+    .map(w => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase())
+    .join(' ');
+  return { aisle: titleCased, bay: '' };
+}
+
+// "ShopRite #592 — South Plainfield, NJ"
+function describeStore(profile) {
+  return profile.address ? `${profile.name} — ${profile.address}` : profile.name;
+}
+
+module.exports = {
+  loadStoreProfile,
+  parseAisleText,
+  describeStore,
+  profilePath,
+  STORES_DIR,
+  DEFAULT_DEPARTMENTS,
+  DEFAULT_DEPT_DISPLAY,
+};
@@ -0,0 +1,64 @@
+// ============================================================
+// Suggestions — open requests ("surprise us") kept as prompts
+// ============================================================
+// Directives are list lines that ask for something rather than name
+// it: "Freezer section: surprise us if something looks tasty",
+// "Cold cuts: ... anything you like", "Anything vegetarian that
+// Hannah may like". Instead of dropping them, each one is placed and
+// given a few ideas to start from:
+//
+//   aisle — the aisle its section header names ("Freezer section" →
+//           Frozen); failing that, for a categorized one ("Cold
+//           cuts"), where the top search result for the category is.
+//           Otherwise null, and it's listed under "Suggestions".
+//   ideas — up to MAX_IDEAS products: things bought before in that
+//           aisle or category (lib/history.js) first, then search
+//           results for the category or the word after "anything"
+//           ("vegetarian"). Nothing already on the list.
+//
+// Each idea is { name, aisle, bay, from: 'history' | 'search' }.
+
+const { sectionAisles, tokenize } = require('./matcher');
+
+const MAX_IDEAS = 3;
+
+// "anything you like" says nothing about what; "anything vegetarian" does
+const VAGUE_WORDS = ['you', 'that', 'else', 'good', 'tasty', 'at', 'in', 'with', 'from'];
+
+// Section headers that aren't worth searching for as such
+const SECTION_TERMS = { freezer: 'frozen' };
+
+// Directive → the term to search for ideas, or null
+function directiveTerm(d) {
+  if (d.category) return d.category.toLowerCase();
+  const m = (d.directive || '').match(/\banything\s+([a-z]+)/i);
+  if (m && !VAGUE_WORDS.includes(m[1].toLowerCase())) return m[1].toLowerCase();
+  const section = (d.section || '').match(/^(\w+)\s+section$/i);
+  if (section) return SECTION_TERMS[section[1].toLowerCase()] || section[1].toLowerCase();
+  return null;
+}
+
+// Aisle the writer put it in, from their header. found is the search
+// for directiveTerm(), best-first: a header that names a stretch of
+// the store ("Across back of store") is narrowed to where the top
+// result sits, and a categorized directive without a usable header
+// goes where its category does.
+function directiveAisle(d, found = []) {
+  const aisles = sectionAisles(d.section);
+  const top = found.length ? found[0].location.aisle : null;
+  if (aisles) return top && aisles.includes(top) ? top : aisles[0];
+  return d.category && top ? top : null;
+}
+
+// True when a product looks like something already on the list: every
+// word of a lookup term is a word of the name ("ham" is on the list
+// for "Boar's Head Ham", not for "Graham Crackers")
+function onList(name, terms) {
+  const words = new Set(tokenize(name));
+  return terms.some(t => {
+    const termWords = tokenize(t);
+    return termWords.length > 0 && termWords.every(w => words.has(w));
+  });
+}
+
+module.exports = { directiveTerm, directiveAisle, onList, MAX_IDEAS };
@@ -0,0 +1,108 @@
+// ============================================================
+// Vocabulary — the household's own words for the list parser
+// ============================================================
+//
+// scraper/vocabulary.json (or --vocabulary=PATH) teaches the parser
+// shorthand without editing lib/nlp-parser.js. Each key adds to the
+// built-in list of the same name; under "replace" it takes the place
+// of the built-in list instead:
+//
+//   {
+//     "abbreviations":     { "tp": "toilet paper", "gf": "gluten free",
+//                            "hannah's yogurt": "chobani vanilla greek yogurt" },
+//     "andCompounds":      ["chips and salsa"],
+//     "directivePatterns": ["^whatever's on sale"],
+//     "headerPatterns":    ["^pharmacy\\b"],
+//     "stripPrefixes":     ["store brand"],
+//     "stripSuffixes":     ["\\s+for the kids$"],
+//     "categoryWords":     ["baby( food)?", "pet food"],
+//     "brands":            ["Stonyfield", "Annie's"],
+//     "replace": {
+//       "stripPrefixes":   ["plain", "fresh", "organic"]
+//     }
+//   }
+//
+// abbreviations  — word or phrase → what it stands for
+// andCompounds   — phrases not to split on "and"
+// stripPrefixes  — words dropped from the front of a lookup term
+// directivePatterns, headerPatterns, stripSuffixes — regular
+//                  expressions, written as strings, matched
+//                  case-insensitively against a line (or the end of a
+//                  lookup term, for stripSuffixes)
+// categoryWords  — expressions for inline category headers ("Baby
+//                  food: wipes, puffs"); the colon is implied
+// brands         — brand names, written as they should be shown
+//                  ("annies mac" → brand Annie's)
+
+const fs = require('fs');
+const { DEFAULT_VOCABULARY } = require('./nlp-parser');
+
+const LIST_KEYS = ['andCompounds', 'stripPrefixes', 'brands'];
+const PATTERN_KEYS = ['directivePatterns', 'headerPatterns', 'stripSuffixes', 'categoryWords'];
+const KEYS = ['abbreviations', ...LIST_KEYS, ...PATTERN_KEYS];
+
+function validateSection(fail, data, prefix) {
+  for (const [key, v] of Object.entries(data)) {
+    const name = `${prefix}${key}`;
+    if (!KEYS.includes(key)) fail(`unknown key "${name}" (expected one of ${KEYS.join(', ')})`);
+
+    if (key === 'abbreviations') {
+      if (!v || typeof v !== 'object' || Array.isArray(v)) fail(`"${name}" must be an object`);
+      for (const [k, full] of Object.entries(v)) {
+        if (!k.trim()) fail(`"${name}" has an empty key`);
+        if (typeof full !== 'string' || !full.trim()) fail(`"${name}.${k}" must be a non-empty string`);
+      }
+      continue;
+    }
+
+    if (!Array.isArray(v)) fail(`"${name}" must be an array of strings`);
+    v.forEach((entry, i) => {
+      if (typeof entry !== 'string' || !entry.trim()) fail(`"${name}[${i}]" must be a non-empty string`);
+      if (!PATTERN_KEYS.includes(key)) return;
+      try {
+        new RegExp(entry, 'i');
+      } catch (err) {
+        fail(`"${name}[${i}]" is not a valid pattern: ${err.message}`);
+      }
+    });
+  }
+}
+
+function validate(file, data) {
+  const fail = (msg) => { throw new Error(`Invalid vocabulary file ${file}: ${msg}`); };
+  if (!data || typeof data !== 'object' || Array.isArray(data)) fail('expected a JSON object');
+
+  const { replace, ...extend } = data;
+  if (replace !== undefined && (!replace || typeof replace !== 'object' || Array.isArray(replace))) {
+    fail('"replace" must be an object');
+  }
+  validateSection(fail, extend, '');
+  validateSection(fail, replace || {}, 'replace.');
+}
+
+// Built-in lists, with the file's replacements and additions applied.
+// The result is the options object parseShoppingList() takes; file ===
+// null (or a missing file) gives the built-in vocabulary.
+function loadVocabulary(file) {
+  let data = {};
+  if (file && fs.existsSync(file)) {
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (err) {
+      throw new Error(`Invalid vocabulary file ${file}: ${err.message}`);
+    }
+    validate(file, data);
+  }
+
+  const { replace = {}, ...extend } = data;
+  const vocabulary = {};
+  for (const key of KEYS) {
+    const base = replace[key] !== undefined ? replace[key] : DEFAULT_VOCABULARY[key];
+    vocabulary[key] = key === 'abbreviations'
+      ? { ...base, ...extend[key] }
+      : [...base, ...(extend[key] || [])];
+  }
+  return vocabulary;
+}
+
+module.exports = { loadVocabulary };
@@ -2,189 +2,358 @@
 // ============================================================
 // ShopRite CLI — Shopping List → Markdown with Aisle Lookups
 // ============================================================
-// Usage: node scraper/shop.js path/to/groceries.txt [--store=NNN]
+// Usage: node scraper/shop.js <list.txt ...|dir|-> [--store=NNN] [--resolve] [--max-age=DAYS]
+//          [--format=markdown|json|csv|html|text] [--new-trip]
+//          [--staples=PATH | --no-staples] [--history=PATH | --no-history]
+//          [--vocabulary=PATH | --no-vocabulary]
+//          [--concurrency=N] [--rate=N] [--timeout=MS] [--retries=N]
+//          [--api-base=URL] [--record=DIR | --replay=DIR] [--cache=PATH | --no-cache]
+//        node scraper/shop.js probe [--store=NNN]
+//        node scraper/shop.js cache <list|show|invalidate|prune|stats> [--store=NNN]
+//        node scraper/shop.js history [--top=N] [--stale=DAYS] [--history=PATH]
 //
 // Reads a natural-language grocery list, calls the ShopRite
 // storefrontgateway API for aisle locations, and writes a
 // store-walk-ordered markdown file with checkboxes.
+//
+// The pipeline itself is lib/shopper.js (require that from other
+// scripts); this file only maps flags and files onto it.
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
-const { parseShoppingList } = require('./lib/nlp-parser');
-
-// ---- Load aisle sort order (path relative to project root) ----
-const aisleDataPath = path.resolve(__dirname, 'lib', 'aisleData.js');
-// aisleData.js declares `const AISLE_SORT_ORDER = {...}` but doesn't export.
-// We eval it to grab the value without modifying that file.
-const aisleDataSrc = fs.readFileSync(aisleDataPath, 'utf-8');
-const AISLE_SORT_ORDER = (function () {
-  const m = aisleDataSrc.match(/const AISLE_SORT_ORDER\s*=\s*(\{[\s\S]*?\n\});/);
-  if (!m) throw new Error('Could not parse AISLE_SORT_ORDER from aisleData.js');
-  return eval('(' + m[1] + ')');
-})();
+const { createShopper, formatLoc, DEFAULT_STORE_ID, DEFAULT_CONCURRENCY } = require('./lib/shopper');
+const { loadStoreProfile, parseAisleText, describeStore, profilePath } = require('./lib/storeProfiles');
+const { SEED_ITEMS } = require('./lib/probe');
+const { resolveItems } = require('./lib/resolve');
+const { createApiClient, DEFAULT_TIMEOUT_MS, DEFAULT_RETRIES } = require('./lib/api');
+const { createRateLimiter, createOrderedLog } = require('./lib/queue');
+const { readChecklist, mergeChecklist, tripName, latestTrip, isTripFile } = require('./lib/checklist');
+const { sourceName } = require('./lib/combine');
+const { getFormat } = require('./lib/formats');
+const { loadOverrides } = require('./lib/overrides');
+const { loadStaples } = require('./lib/staples');
+const { loadVocabulary } = require('./lib/vocabulary');
+const { loadHistory, saveHistory, refreshChecked, historyReport } = require('./lib/history');
+const {
+  loadCache, saveCache, entryAgeDays,
+  invalidateTerm, invalidateAisle, pruneOlderThan, cacheStats, DEFAULT_MAX_AGE_DAYS,
+} = require('./lib/cache');
+
+const DEFAULT_RATE = 5;   // requests per second
+
+// ---- Parse --name=N numeric flags (--max-age, --concurrency, --rate, ...) ----
+function numericArg(name, fallback) {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  const n = arg ? parseFloat(arg.split('=')[1]) : NaN;
+  return Number.isFinite(n) ? n : fallback;
+}
+
+// ---- Parse --name=value string flags ----
+function stringArg(name) {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+}
+
+// Config files are loaded at startup; report a bad one without a stack trace
+function loadOrExit(load) {
+  try {
+    return load();
+  } catch (err) {
+    process.stderr.write(`${err.message}\n`);
+    process.exit(1);
+  }
+}
 
 // ============================================================
-// ShopRite Storefrontgateway API (inlined from server.js)
+// Flags → shopper (lib/shopper.js)
 // ============================================================
-const API_BASE = 'https://storefrontgateway.shoprite.com/api';
-const DEFAULT_STORE_ID = '592';
-
-// ---- Parse --store=NNN from CLI args ----
-const storeArg = process.argv.find(a => a.startsWith('--store='));
-const STORE_ID = storeArg ? storeArg.split('=')[1] : DEFAULT_STORE_ID;
+// --store=NNN, --max-age=DAYS, --concurrency=N; the HTTP client from
+// --rate --timeout --retries --api-base (or SHOPRITE_API_BASE)
+// --record/--replay; the cache file from --cache=PATH or --no-cache.
+// Shopping a list (list: true) also loads the staples file from
+// --staples=PATH or --no-staples, the parser vocabulary from
+// --vocabulary=PATH or --no-vocabulary and the trip history from
+// --history=PATH or --no-history; probe and cache never use them, so
+// a bad one doesn't stop those.
+function buildShopper({ list = false } = {}) {
+  const storeId = stringArg('store') || DEFAULT_STORE_ID;
+  const recordDir = stringArg('record');
+  const replayDir = stringArg('replay');
+  if (recordDir && replayDir) {
+    process.stderr.write('--record and --replay cannot be used together\n');
+    process.exit(1);
+  }
 
-// ---- Persistent disk cache (scraper/cache.json, keyed by store) ----
-const CACHE_PATH = path.resolve(__dirname, 'cache.json');
-const cache = new Map();
-let allCacheData = {};
+  const api = createApiClient({
+    base: stringArg('api-base') || process.env.SHOPRITE_API_BASE || undefined,
+    timeoutMs: numericArg('timeout', DEFAULT_TIMEOUT_MS),
+    retries: numericArg('retries', DEFAULT_RETRIES),
+    limiter: createRateLimiter(numericArg('rate', DEFAULT_RATE)),
+    record: recordDir && path.resolve(recordDir),
+    replay: replayDir && path.resolve(replayDir),
+  });
 
-function loadCache() {
-  try {
-    allCacheData = JSON.parse(fs.readFileSync(CACHE_PATH, 'utf-8'));
-  } catch (_) { /* no cache file yet */ }
-  const storeData = allCacheData[STORE_ID] || {};
-  for (const [k, v] of Object.entries(storeData)) cache.set(k, v);
+  const cachePath = process.argv.includes('--no-cache')
+    ? null
+    : path.resolve(stringArg('cache') || path.join(__dirname, 'cache.json'));
+
+  const profile = loadOrExit(() => loadStoreProfile(storeId));
+  const shopper = createShopper({
+    storeId,
+    profile,
+    api,
+    cache: loadCache(cachePath, storeId),
+    maxAgeDays: numericArg('max-age', DEFAULT_MAX_AGE_DAYS),
+    concurrency: numericArg('concurrency', DEFAULT_CONCURRENCY),
+    overrides: loadOrExit(() => loadOverrides(storeId, raw => parseAisleText(raw, profile))),
+    ...(list && loadListFiles()),
+  });
+  return { shopper, recordDir, replayDir };
 }
 
-function saveCache() {
-  // Only persist items that resolved to a real aisle (not Unknown)
-  const obj = {};
-  for (const [k, v] of cache) {
-    if (v.aisle !== 'Unknown') obj[k] = v;
-  }
-  allCacheData[STORE_ID] = obj;
-  fs.writeFileSync(CACHE_PATH, JSON.stringify(allCacheData, null, 2), 'utf-8');
+// ---- Staples, vocabulary and trip history, for shopping a list ----
+function loadListFiles() {
+  const staplesPath = process.argv.includes('--no-staples')
+    ? null
+    : path.resolve(stringArg('staples') || path.join(__dirname, 'staples.json'));
+
+  const vocabularyPath = process.argv.includes('--no-vocabulary')
+    ? null
+    : path.resolve(stringArg('vocabulary') || path.join(__dirname, 'vocabulary.json'));
+
+  const vocabulary = loadOrExit(() => loadVocabulary(vocabularyPath));
+  return {
+    staples: loadOrExit(() => loadStaples(staplesPath, vocabulary)),
+    vocabulary,
+    history: loadOrExit(loadTripHistory),
+  };
 }
 
-loadCache();
-
-function apiGet(urlPath) {
-  return new Promise((resolve, reject) => {
-    const url = urlPath.startsWith('http') ? urlPath : API_BASE + urlPath;
-    const parsed = new URL(url);
-    const opts = {
-      hostname: parsed.hostname,
-      path: parsed.pathname + parsed.search,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        'Accept': 'application/json, text/plain, */*',
-        'Origin': 'https://www.shoprite.com',
-        'Referer': 'https://www.shoprite.com/',
-        'Authorization': 'Bearer anonymous',
-        'X-Site-Host': 'https://www.shoprite.com',
-      },
-    };
-    https.get(opts, (res) => {
-      let body = '';
-      res.on('data', d => body += d);
-      res.on('end', () => {
-        if (res.statusCode !== 200) {
-          reject(new Error(`API returned ${res.statusCode}`));
-        } else {
-          try { resolve(JSON.parse(body)); }
-          catch (e) { reject(new Error('Invalid JSON response')); }
-        }
-      });
-    }).on('error', reject);
+// ---- Trip history, with ticks read back from trip files still around ----
+function loadTripHistory() {
+  const historyPath = process.argv.includes('--no-history')
+    ? null
+    : path.resolve(stringArg('history') || path.join(__dirname, 'history.json'));
+  const history = loadHistory(historyPath);
+  refreshChecked(history, (file) => {
+    if (!file.endsWith('.md') || !fs.existsSync(file)) return null;
+    const { items } = readChecklist(fs.readFileSync(file, 'utf-8'));
+    return new Map(items.map(e => [e.key, e.checked]));
   });
+  return history;
 }
 
-// ---- Department names for parsing raw aisle text ----
-const DEPARTMENTS = [
-  'INTERNATIONAL CHEESE', 'CUSTOMER SERVICE', 'DAIRY/KOSHER',
-  'PRODUCE', 'BAKERY', 'BACKWALL', 'DELI', 'APPY', 'MEAT', 'SEAFOOD',
-  'FROZEN', 'PHARMACY', 'FLORAL', 'BREAD', 'DAIRY', 'HBC', 'NATURAL',
-  'KOSHER', 'GROCERY', 'BULK',
-];
-
-const DEPT_DISPLAY = {
-  'DAIRY/KOSHER': 'Dairy',       'DAIRY': 'Dairy',
-  'PRODUCE': 'Produce',          'BAKERY': 'Bakery',
-  'DELI': 'Deli',                'APPY': 'Deli',
-  'MEAT': 'Meat',                'SEAFOOD': 'Seafood',
-  'FROZEN': 'Frozen',            'PHARMACY': 'Pharmacy',
-  'FLORAL': 'Floral',            'BREAD': 'Bread',
-  'HBC': 'Health & Beauty',      'NATURAL': 'Natural',
-  'KOSHER': 'Kosher',            'GROCERY': 'Grocery',
-  'BULK': 'Bulk',
-  'INTERNATIONAL CHEESE': 'International Cheese',
-  'CUSTOMER SERVICE': 'Customer Service',
-  'BACKWALL': 'Backwall',
-};
-
-function parseAisleText(raw) {
-  if (!raw) return { aisle: 'Unknown', bay: '' };
-  let text = raw.trim();
-  if (!text) return { aisle: 'Unknown', bay: '' };
-
-  text = text.replace(/^Aisle\s+/i, '').trim();
-
-  const numMatch = text.match(/^AISLE\s*(\d+)$/i) || text.match(/^(\d+)([A-Za-z]?)$/);
-  if (numMatch) {
-    const num = parseInt(numMatch[1], 10);
-    return { aisle: `Aisle ${num}`, bay: numMatch[2] || '' };
+// ============================================================
+// Probe: draft a store profile from the seed item list
+// ============================================================
+async function probeStore() {
+  const { shopper } = buildShopper();
+  process.stderr.write(`Probing store #${shopper.storeId} with ${SEED_ITEMS.length} seed items...\n`);
+
+  const progress = createOrderedLog(process.stderr);
+  const { draft, results } = await shopper.probe({ onProgress: progress.write });
+  shopper.save();
+
+  // Never clobber a hand-tuned profile — write alongside it instead
+  let outPath = profilePath(shopper.storeId);
+  if (fs.existsSync(outPath)) outPath = outPath.replace(/\.json$/, '.draft.json');
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  fs.writeFileSync(outPath, JSON.stringify(draft, null, 2) + '\n', 'utf-8');
+
+  const aisleCount = Object.keys(draft.walkOrder).length - 1;
+  const errorCount = results.filter(r => r.error).length;
+  process.stderr.write(
+    `\nWrote ${path.relative(process.cwd(), outPath)} (${aisleCount} aisles/departments, ` +
+    `${draft.probe.unknown - errorCount} not found, ${errorCount} API errors)\n`
+  );
+  if (draft.probe.unmatchedDepartments.length) {
+    process.stderr.write(
+      `Unrecognized departments (consider a deptDisplay entry): ${draft.probe.unmatchedDepartments.join(', ')}\n`
+    );
   }
+}
+
+// ============================================================
+// Cache maintenance: list, show, invalidate, prune, stats
+// ============================================================
+const CACHE_USAGE = [
+  'Usage: node scraper/shop.js cache list                      [--store=NNN]',
+  '       node scraper/shop.js cache show <term>               [--store=NNN]',
+  '       node scraper/shop.js cache invalidate <term>         [--store=NNN]',
+  '       node scraper/shop.js cache invalidate --aisle=<aisle> [--store=NNN]',
+  '       node scraper/shop.js cache prune [--older-than=DAYS]  [--store=NNN]',
+  '       node scraper/shop.js cache stats',
+].join('\n') + '\n';
+
+function formatAge(entry) {
+  const days = entryAgeDays(entry);
+  return days === Infinity ? 'undated' : `${Math.floor(days)}d`;
+}
 
-  const upper = text.toUpperCase();
-  for (const dept of DEPARTMENTS) {
-    if (upper.startsWith(dept)) {
-      let remainder = text.substring(dept.length).trim();
-      remainder = remainder.replace(/^[\/,;:\-]+\s*/, '').trim();
-      const aisleName = DEPT_DISPLAY[dept] || dept.charAt(0) + dept.slice(1).toLowerCase();
-      return { aisle: aisleName, bay: remainder };
+function describeEntry(entry) {
+  if (entry.aisle !== 'Unknown') return formatLoc(entry);
+  const retry = entry.retryAfter ? `, retry ${entry.retryAfter.slice(0, 10)}` : '';
+  return `Unknown (${entry.reason || 'miss'}, ${entry.misses || 1}×${retry})`;
+}
+
+function cacheCommand(rest) {
+  const { cache, profile, storeId } = buildShopper().shopper;
+  const maxAgeDays = numericArg('max-age', DEFAULT_MAX_AGE_DAYS);
+  const [action, ...words] = rest;
+  const term = words.join(' ').toLowerCase().trim();
+  const aisleArg = process.argv.find(a => a.startsWith('--aisle='));
+  const olderArg = process.argv.find(a => a.startsWith('--older-than='));
+
+  switch (action) {
+    case 'list': {
+      const keys = [...cache.entries.keys()].sort();
+      process.stdout.write(`${describeStore(profile)} — ${keys.length} cached terms\n`);
+      for (const k of keys) {
+        const e = cache.entries.get(k);
+        process.stdout.write(
+          `  ${k.padEnd(24)} ${describeEntry(e).padEnd(28)} ${(e.product || '').padEnd(36)} ${formatAge(e)}\n`
+        );
+      }
+      return;
+    }
+    case 'show': {
+      if (!term) break;
+      const e = cache.entries.get(term);
+      if (!e) {
+        process.stderr.write(`"${term}" is not cached for store #${storeId}\n`);
+        process.exit(1);
+      }
+      process.stdout.write(`${term} (store #${storeId}, age: ${formatAge(e)})\n`);
+      process.stdout.write(JSON.stringify(e, null, 2) + '\n');
+      return;
+    }
+    case 'invalidate': {
+      if (aisleArg) {
+        const aisle = aisleArg.split('=')[1];
+        const n = invalidateAisle(cache, aisle);
+        saveCache(cache);
+        process.stderr.write(`Removed ${n} entr${n !== 1 ? 'ies' : 'y'} in ${aisle} for store #${storeId}\n`);
+        return;
+      }
+      if (!term) break;
+      const removed = invalidateTerm(cache, term);
+      saveCache(cache);
+      process.stderr.write(removed
+        ? `Removed "${term}" for store #${storeId}\n`
+        : `"${term}" was not cached for store #${storeId}\n`);
+      return;
+    }
+    case 'prune': {
+      const days = olderArg ? parseFloat(olderArg.split('=')[1]) : maxAgeDays;
+      const n = pruneOlderThan(cache, days);
+      saveCache(cache);
+      process.stderr.write(`Pruned ${n} entr${n !== 1 ? 'ies' : 'y'} older than ${days} days for store #${storeId}\n`);
+      return;
+    }
+    case 'stats': {
+      for (const st of cacheStats(cache, maxAgeDays)) {
+        const range = st.oldest ? `${st.oldest.slice(0, 10)} → ${st.newest.slice(0, 10)}` : 'no dates';
+        process.stdout.write(
+          `Store #${st.storeId}: ${st.total} entries — ${st.found} found, ${st.unknown} unknown, ` +
+          `${st.expired} expired, ${st.undated} undated (${range})\n`
+        );
+      }
+      return;
     }
   }
 
-  const titleCased = text.split(/\s+/)
-    .map(w => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase())
-    .join(' ');
-  return { aisle: titleCased, bay: '' };
+  process.stderr.write(CACHE_USAGE);
+  process.exit(1);
 }
 
-async function lookupItem(itemName, index, total) {
-  const cacheKey = itemName.toLowerCase().trim();
-  if (cache.has(cacheKey)) {
-    const cached = cache.get(cacheKey);
-    const loc = cached.bay ? `${cached.aisle} ${cached.bay}` : cached.aisle;
-    process.stderr.write(`  [${index}/${total}] ${itemName} → ${loc} (cached)\n`);
-    return cached;
+// ============================================================
+// History report: most bought, location/price changes, not seen lately
+// ============================================================
+function historyCommand() {
+  const history = loadOrExit(loadTripHistory);
+  const staleDays = numericArg('stale', 30);
+  const report = historyReport(history, { top: numericArg('top', 10), staleDays });
+  saveHistory(history);   // keep any ticks read back from trip files
+
+  const out = text => process.stdout.write(`${text}\n`);
+  const day = iso => iso.slice(0, 10);
+  if (!report.trips) {
+    out(`No trips recorded yet${history.file ? ` in ${path.relative(process.cwd(), history.file)}` : ''}.`);
+    return;
   }
 
-  try {
-    const searchData = await apiGet(
-      `/stores/${STORE_ID}/multisearch?q=${encodeURIComponent(itemName)}&take=1`
-    );
-
-    if (!searchData.items?.[0]?.items?.[0]) {
-      const result = { aisle: 'Unknown', bay: '' };
-      cache.set(cacheKey, result);
-      process.stderr.write(`  [${index}/${total}] ${itemName} → Unknown (no results)\n`);
-      return result;
-    }
+  out(`${report.trips} trip${report.trips !== 1 ? 's' : ''} recorded`);
+  out('');
+  out('Most bought:');
+  for (const e of report.mostBought) {
+    out(`  ${e.name.padEnd(24)} ${String(e.trips).padStart(3)} trips  ${e.ticked} ticked  last ${day(e.lastDate)}`);
+  }
 
-    const product = searchData.items[0].items[0];
-    const sku = product.sku;
+  out('');
+  out('Aisle and price changes:');
+  if (!report.changes.length) out('  none');
+  for (const c of report.changes) {
+    const steps = c.steps.map(s => `${c.kind === 'price' ? `$${Number(s.value).toFixed(2)}` : s.value} (${day(s.date)})`);
+    out(`  ${c.name} [#${c.storeId} ${c.kind}]: ${steps.join(' → ')}`);
+  }
 
-    const detail = await apiGet(`/stores/${STORE_ID}/products/${sku}`);
-    const loc = detail.productLocation;
+  out('');
+  out('Section headers vs the store:');
+  const { sure, hedged } = report.headers;
+  const rate = ({ right, wrong }) =>
+    (right + wrong ? `right ${right} of ${right + wrong} (${Math.round(100 * right / (right + wrong))}%)` : 'no data');
+  out(`  sure headers:   ${rate(sure)}`);
+  out(`  hedged headers: ${rate(hedged)}`);
+
+  out('');
+  out(`Not bought in ${staleDays}+ days:`);
+  if (!report.notSeen.length) out('  none');
+  for (const e of report.notSeen) {
+    out(`  ${e.name.padEnd(24)} ${String(e.days).padStart(4)} days ago (${e.trips} trips)`);
+  }
+}
 
-    if (!loc || !loc.aisle) {
-      const result = { aisle: 'Unknown', bay: '' };
-      cache.set(cacheKey, result);
-      process.stderr.write(`  [${index}/${total}] ${itemName} → Unknown (no location)\n`);
-      return result;
+// ============================================================
+// Inputs: list files, or a directory of them
+// ============================================================
+// A directory contributes its .txt files (not earlier trip outputs);
+// "-" reads a list from stdin. The trip file goes next to the first
+// list, into the directory, or (for stdin) the current directory.
+const STDIN = '-';
+
+function listInputs(args) {
+  const files = [];
+  let outDir = null;
+  for (const arg of args) {
+    if (arg === STDIN) {
+      files.push(STDIN);
+      outDir = outDir || process.cwd();
+      continue;
+    }
+    const resolved = path.resolve(arg);
+    if (!fs.existsSync(resolved)) throw new Error(`File not found: ${resolved}`);
+    if (fs.statSync(resolved).isDirectory()) {
+      const lists = fs.readdirSync(resolved)
+        .filter(f => f.endsWith('.txt') && !isTripFile(f))
+        .sort()
+        .map(f => path.join(resolved, f));
+      if (!lists.length) throw new Error(`No .txt lists in ${resolved}`);
+      files.push(...lists);
+      outDir = outDir || resolved;
+    } else {
+      files.push(resolved);
+      outDir = outDir || path.dirname(resolved);
     }
-
-    const result = parseAisleText(loc.aisle);
-    cache.set(cacheKey, result);
-    const display = result.bay ? `${result.aisle} ${result.bay}` : result.aisle;
-    process.stderr.write(`  [${index}/${total}] ${itemName} → ${display}\n`);
-    return result;
-  } catch (err) {
-    process.stderr.write(`  [${index}/${total}] ${itemName} → ERROR: ${err.message}\n`);
-    return { aisle: 'Unknown', bay: '' };
   }
+  return { files: [...new Set(files)], outDir };
+}
+
+function readList(file) {
+  return file === STDIN ? fs.readFileSync(0, 'utf-8') : fs.readFileSync(file, 'utf-8');
+}
+
+function listName(file) {
+  return file === STDIN ? 'stdin' : path.basename(file);
 }
 
 // ============================================================
@@ -192,118 +361,146 @@ async function lookupItem(itemName, index, total) {
 // ============================================================
 async function main() {
   const args = process.argv.slice(2).filter(a => !a.startsWith('--'));
-  const inputPath = args[0];
-  if (!inputPath) {
-    process.stderr.write('Usage: node scraper/shop.js <grocery-list.txt> [--store=NNN]\n');
+  if (args[0] === 'probe') return probeStore();
+  if (args[0] === 'cache') return cacheCommand(args.slice(1));
+  if (args[0] === 'history') return historyCommand();
+
+  if (!args.length) {
+    process.stderr.write('Usage: node scraper/shop.js <list.txt ...|dir|-> [--store=NNN] [--resolve] [--max-age=DAYS]\n');
+    process.stderr.write('         [--format=markdown|json|csv|html|text] [--new-trip] [--staples=PATH | --no-staples]\n');
+    process.stderr.write('         [--history=PATH | --no-history] [--vocabulary=PATH | --no-vocabulary]\n');
+    process.stderr.write('         [--api-base=URL] [--record=DIR | --replay=DIR] [--cache=PATH | --no-cache]\n');
+    process.stderr.write('       node scraper/shop.js probe [--store=NNN]\n');
+    process.stderr.write('       node scraper/shop.js cache <list|show|invalidate|prune|stats> [--store=NNN]\n');
+    process.stderr.write('       node scraper/shop.js history [--top=N] [--stale=DAYS]\n');
     process.exit(1);
   }
 
-  const resolved = path.resolve(inputPath);
-  if (!fs.existsSync(resolved)) {
-    process.stderr.write(`File not found: ${resolved}\n`);
-    process.exit(1);
+  const { files, outDir } = loadOrExit(() => listInputs(args));
+
+  // ---- Output format (--format=, markdown by default) ----
+  const formatName = stringArg('format') || 'markdown';
+  const format = loadOrExit(() => getFormat(formatName));
+
+  const { shopper, recordDir, replayDir } = buildShopper({ list: true });
+
+  // ---- Step 1: Parse (several lists are combined into one trip) ----
+  const lists = files.map(file => ({
+    file,
+    source: file === STDIN ? 'stdin' : sourceName(file),
+    text: readList(file),
+  }));
+  const { items, directives, done } = lists.length === 1
+    ? shopper.parse(lists[0].text)
+    : shopper.parseLists(lists);
+  const names = lists.map(l => listName(l.file)).join(' + ');
+  const rawText = lists.length === 1
+    ? lists[0].text
+    : lists.map(l => `# ${listName(l.file)}\n${l.text.trim()}`).join('\n\n');
+
+  if (shopper.profile.generic) {
+    process.stderr.write(`No profile for store #${shopper.storeId} — using the default walk order.\n`);
   }
-
-  // ---- Step 1: Parse ----
-  const rawText = fs.readFileSync(resolved, 'utf-8');
-  const parsed = parseShoppingList(rawText);
-
-  const items = parsed.filter(p => p.name && !p.directive);
-  const directives = parsed.filter(p => p.directive);
-
   process.stderr.write(
-    `Parsing ${path.basename(resolved)}... ${items.length} items, ${directives.length} directive${directives.length !== 1 ? 's' : ''} skipped.\n`
+    `Parsing ${names}... ${items.length} items, ${directives.length} directive${directives.length !== 1 ? 's' : ''} kept as suggestions.\n`
   );
+  if (done.length) {
+    process.stderr.write(`Skipping ${done.length} item${done.length !== 1 ? 's' : ''} already checked off: ${done.join(', ')}\n`);
+  }
+
+  // ---- Step 1b: Staples that are due (--no-staples skips them) ----
+  const { added: staples } = shopper.addStaples(items);
+  if (staples.length) {
+    process.stderr.write(`Adding ${staples.length} due staple${staples.length !== 1 ? 's' : ''}: ${staples.map(s => s.name).join(', ')}\n`);
+  }
 
   // ---- Step 2: API lookups ----
+  if (replayDir) process.stderr.write(`Replaying API responses from ${replayDir}\n`);
+  else if (recordDir) process.stderr.write(`Recording API responses to ${recordDir}\n`);
   process.stderr.write('Looking up aisle locations...\n');
 
-  for (let i = 0; i < items.length; i++) {
-    const item = items[i];
-    const loc = await lookupItem(item.lookupTerm, i + 1, items.length);
-    item.aisle = loc.aisle;
-    item.bay = loc.bay;
+  const progress = createOrderedLog(process.stderr);
+  let { summary } = await shopper.resolveLocations(items, { onProgress: progress.write });
+
+  // ---- Step 2b: Interactive resolve (--resolve) ----
+  if (process.argv.includes('--resolve')) {
+    if (!process.stdin.isTTY) {
+      process.stderr.write('--resolve needs an interactive terminal; skipping.\n');
+    } else {
+      const choices = await resolveItems(items, {
+        search: shopper.searchCandidates,
+        parseAisleText: shopper.parseAisleText,
+      });
+      ({ summary } = shopper.applyResolutions(items, choices));
+    }
   }
 
-  saveCache();
+  // ---- Step 2c: Place directives and find ideas for them ----
+  if (directives.length) {
+    process.stderr.write('Looking for suggestions...\n');
+    const ideaLog = createOrderedLog(process.stderr);
+    await shopper.resolveDirectives(directives, items, { onProgress: ideaLog.write });
+  }
 
-  // ---- Step 3: Group & sort by aisle ----
-  const groups = {};
-  for (const item of items) {
-    const key = item.aisle || 'Unknown';
-    if (!groups[key]) groups[key] = [];
-    groups[key].push(item);
+  shopper.save();
+  const { stats } = shopper.api;
+  if (stats.retries) {
+    process.stderr.write(`(${stats.requests} API requests, ${stats.retries} retried)\n`);
   }
 
-  const sortedAisles = Object.keys(groups).sort((a, b) => {
-    const sa = AISLE_SORT_ORDER[a] ?? 98;
-    const sb = AISLE_SORT_ORDER[b] ?? 98;
-    return sa - sb;
-  });
+  // ---- Step 3: Route & group (store layout if the profile has one) ----
+  const route = shopper.route(items, directives);
+  const groups = shopper.group(items, route, directives);
 
-  // ---- Step 4: Build markdown ----
+  // ---- Step 4: Pick the trip file ----
+  // Re-running today's list updates today's latest trip file; --new-trip
+  // starts the next one (2026-Feb-14-2.md) instead.
   const now = new Date();
-  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
-                   'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-  const monthFull = ['January', 'February', 'March', 'April', 'May', 'June',
-                     'July', 'August', 'September', 'October', 'November', 'December'];
-  const mon = months[now.getMonth()];
-  const monFull = monthFull[now.getMonth()];
-  const day = now.getDate();
-  const year = now.getFullYear();
-
-  const lines = [];
-  const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-  const dow = days[now.getDay()];
-  const hh = String(now.getHours()).padStart(2, '0');
-  const nn = String(now.getMinutes()).padStart(2, '0');
-  lines.push(`# Shopping List — ${monFull} ${day}, ${year} ${dow} ${hh}:${nn}`);
-  lines.push(`**Store:** ShopRite #${STORE_ID} — South Plainfield, NJ`);
-  lines.push('');
-
-  let foundCount = 0;
-  let unknownCount = 0;
-
-  for (const aisle of sortedAisles) {
-    lines.push(`## ${aisle}`);
-    for (const item of groups[aisle]) {
-      let line = `- [ ] ${item.name}`;
-      if (item.qty) line += ` ×${item.qty}`;
-      if (item.bay) line += ` — ${item.bay}`;
-      if (item.notes) line += ` *(${item.notes})*`;
-      lines.push(line);
-
-      if (aisle === 'Unknown') unknownCount++;
-      else foundCount++;
-    }
-    lines.push('');
+  const latest = latestTrip(fs.readdirSync(outDir), now, format.ext);
+  const seq = process.argv.includes('--new-trip') ? latest + 1 : Math.max(latest, 1);
+  const outName = tripName(now, format.ext, seq);
+  const outPath = path.join(outDir, outName);
+
+  // Markdown carries the checkboxes, so keep what was already ticked
+  let dropped = [];
+  let mergeNote = '';
+  if (formatName === 'markdown' && fs.existsSync(outPath)) {
+    const merged = mergeChecklist(items, readChecklist(fs.readFileSync(outPath, 'utf-8')));
+    dropped = merged.dropped;
+    mergeNote = `; merged: ${merged.kept} checked kept, ${merged.added} new, ${dropped.length} dropped`;
   }
 
-  // ---- Append original input (compressed vertical space) ----
-  lines.push('---');
-  lines.push(`<details><summary>Original list (${path.basename(resolved)})</summary>`);
-  lines.push('');
-  lines.push('```');
-  const compressed = rawText.replace(/\n{3,}/g, '\n\n').trim();
-  lines.push(compressed);
-  lines.push('```');
-  lines.push('</details>');
-  lines.push('');
-
-  const md = lines.join('\n');
-
-  // ---- Write output file ----
-  const outDir = path.dirname(resolved);
-  const outName = `${mon}-${String(day).padStart(2, '0')}.md`;
-  const outPath = path.join(outDir, outName);
+  // Frequent buys from earlier trips that aren't on this one
+  const oftenBought = shopper.suggest(items, { excludeFile: outPath });
+
+  // ---- Step 5: Render (markdown, json, csv, html or text) & write ----
+  const output = shopper.render(groups, {
+    format: formatName,
+    directives,
+    dropped,
+    oftenBought,
+    route,
+    now,
+    sourceName: names,
+    rawText,
+  });
 
-  fs.writeFileSync(outPath, md, 'utf-8');
+  fs.writeFileSync(outPath, output, 'utf-8');
+  shopper.recordHistory(items, { file: outPath, now });
+  shopper.save();
+  const headerNote =
+    (summary.fromHeaders ? `, ${summary.fromHeaders} placed by your headers` : '') +
+    (summary.conflicts ? `, ${summary.conflicts} disagree with your headers` : '') +
+    (summary.overBudget ? `, ${summary.overBudget} over budget` : '');
   process.stderr.write(
-    `\nWrote ${outName} (${items.length} items, ${foundCount} found, ${unknownCount} unknown)\n`
+    `\nWrote ${outName} (${summary.total} items, ${summary.found} found, ${summary.notFound} not found, ` +
+    `${summary.errors} API errors${headerNote}${mergeNote})\n`
   );
 }
 
-main().catch(err => {
-  process.stderr.write(`Fatal error: ${err.message}\n`);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch(err => {
+    process.stderr.write(`Fatal error: ${err.message}\n`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,52 @@
+// ============================================================
+// Bay order — parsing bay text and ordering items inside an aisle
+// ============================================================
+
+const { test } = require('node:test');
+const assert = require('assert/strict');
+const { parseBay, compareBays } = require('../scraper/lib/bays');
+const { groupByAisle } = require('../scraper/lib/markdown');
+const { AISLE_SORT_ORDER } = require('../scraper/lib/aisleData');
+
+test('parseBay splits a kind from its number or letter', () => {
+  assert.deepEqual(parseBay('ISLAND 1'), { kind: 'ISLAND', num: 1 });
+  assert.deepEqual(parseBay('table  6'), { kind: 'TABLE', num: 6 });
+  assert.deepEqual(parseBay('LEFT WALL'), { kind: 'LEFT WALL', num: 0 });
+  assert.deepEqual(parseBay('B'), { kind: '', num: 2 });
+  assert.equal(parseBay(''), null);
+});
+
+test('compareBays follows the order, then numbers, unlisted kinds and blanks last', () => {
+  const bays = ['', 'PROMO', 'ISLAND 3', 'SALAD BAR', 'LEFT WALL', 'ISLAND 1', 'TABLE 6', 'RIGHT WALL'];
+  assert.deepEqual([...bays].sort((a, b) => compareBays(a, b)), [
+    'LEFT WALL', 'ISLAND 1', 'ISLAND 3', 'TABLE 6', 'PROMO', 'RIGHT WALL', 'SALAD BAR', '',
+  ]);
+  assert.deepEqual(['B', 'A', ''].sort((a, b) => compareBays(a, b)), ['A', 'B', '']);
+});
+
+test('an exact bay in the order goes ahead of the rest of its kind', () => {
+  const order = ['ISLAND 3', 'ISLAND', 'RIGHT WALL'];
+  assert.deepEqual(['ISLAND 1', 'RIGHT WALL', 'ISLAND 3', 'ISLAND 2'].sort((a, b) => compareBays(a, b, order)), [
+    'ISLAND 3', 'ISLAND 1', 'ISLAND 2', 'RIGHT WALL',
+  ]);
+});
+
+test('groupByAisle orders each aisle by the profile bay order', () => {
+  const items = [
+    { name: 'Berries', aisle: 'Produce', bay: 'ISLAND 1' },
+    { name: 'Carrots', aisle: 'Produce', bay: 'RIGHT WALL' },
+    { name: 'Apples', aisle: 'Produce', bay: 'LEFT WALL' },
+    { name: 'Grapes', aisle: 'Produce', bay: 'ISLAND 1' },
+    { name: 'Milk', aisle: 'Dairy', bay: 'BACK WALL' },
+  ];
+  const names = groups => groups.map(g => [g.aisle, g.items.map(it => it.name)]);
+
+  assert.deepEqual(names(groupByAisle(items, AISLE_SORT_ORDER)), [
+    ['Produce', ['Apples', 'Berries', 'Grapes', 'Carrots']],
+    ['Dairy', ['Milk']],
+  ]);
+  assert.deepEqual(names(groupByAisle(items, AISLE_SORT_ORDER, { Produce: ['RIGHT WALL', 'ISLAND', 'LEFT WALL'] })), [
+    ['Produce', ['Carrots', 'Berries', 'Grapes', 'Apples']],
+    ['Dairy', ['Milk']],
+  ]);
+});
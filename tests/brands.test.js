@@ -0,0 +1,107 @@
+// ============================================================
+// Brands — brand and variety fields, store-brand hints, search
+// ============================================================
+
+const { test } = require('node:test');
+const assert = require('assert/strict');
+const { parseShoppingList } = require('../scraper/lib/nlp-parser');
+const { rankCandidates } = require('../scraper/lib/matcher');
+const { createShopper } = require('../scraper/lib/shopper');
+const { combineLists } = require('../scraper/lib/combine');
+
+const fields = text => parseShoppingList(text).map(p => [p.name, p.brand, p.variety, p.lookupTerm]);
+
+test('a brand prefix goes on each item, with the rest as the variety', () => {
+  assert.deepEqual(fields('Pillsbury quick bake tubes: cinnamon rolls, biscuits'), [
+    ['Pillsbury cinnamon rolls', 'Pillsbury', 'cinnamon rolls', 'pillsbury cinnamon rolls'],
+    ['Pillsbury biscuits', 'Pillsbury', 'biscuits', 'pillsbury biscuits'],
+  ]);
+  // A capitalized word before a packaging word is a brand even when it isn't a known one
+  assert.deepEqual(fields('Stonyfield tubes: strawberry, banana').map(f => f[1]), ['Stonyfield', 'Stonyfield']);
+  assert.deepEqual(fields('Party stuff: chips, dip').map(f => f[1]), [null, null]);
+});
+
+test('known brands are found at the start of a name, apostrophe or not', () => {
+  assert.deepEqual(fields('boars head turkey\nland o lakes butter x2'), [
+    ['Boars head turkey', "Boar's Head", 'turkey', 'boars head turkey'],
+    ['Land o lakes butter', 'Land O Lakes', 'butter', 'land o lakes butter'],
+  ]);
+  assert.equal(parseShoppingList('annies mac', { brands: ["Annie's"] })[0].brand, "Annie's");
+});
+
+test('a category of Title Case names is a list of brands', () => {
+  assert.deepEqual(fields('Cereal: Cheerios and Frosted Flakes'), [
+    ['Cheerios', 'Cheerios', 'cereal', 'cheerios'],
+    ['Frosted Flakes', 'Frosted Flakes', 'cereal', 'frosted flakes'],
+  ]);
+  assert.deepEqual(fields('Fruits: berries, Grapes').map(f => f[1]), [null, null]);
+});
+
+test('store-brand hints set storeBrandOk, from the line prefix or the item notes', () => {
+  const parsed = parseShoppingList('Cold cuts (their brand name is fine): turkey, ham\nketchup (store brand ok)\nmustard (any brand)\nrelish');
+  assert.deepEqual(parsed.map(p => [p.name, p.storeBrandOk]), [
+    ['Turkey', true], ['Ham', true], ['Ketchup', true], ['Mustard', true], ['Relish', false],
+  ]);
+  assert.equal(parsed[0].category, 'Cold cuts');
+});
+
+test('products from the brand get ahead, and so do store brands when they are fine', () => {
+  const products = [
+    { sku: '1', name: 'Biscuits Buttermilk Tube' },
+    { sku: '2', name: 'ShopRite Biscuits Buttermilk' },
+    { sku: '3', name: 'Pillsbury Grands Buttermilk Biscuits' },
+  ];
+  const order = context => rankCandidates(products, 'biscuits', context).map(c => c.sku);
+  assert.deepEqual(order({}), ['1', '2', '3']);
+  assert.deepEqual(order({ brand: 'Pillsbury' }), ['3', '1', '2']);
+  // The named brand still comes before the store brand
+  assert.deepEqual(order({ brand: 'Pillsbury', storeBrandOk: true }), ['3', '2', '1']);
+  assert.deepEqual(order({ storeBrandOk: true }), ['2', '1', '3']);
+});
+
+test('the lookup searches with the brand and picks its product', async () => {
+  const urls = [];
+  const api = {
+    async get(url) {
+      urls.push(url);
+      if (url.includes('multisearch')) {
+        return { items: [{ items: [{ sku: '1', name: 'Biscuits Tube' }, { sku: '3', name: 'Pillsbury Grands Biscuits' }] }] };
+      }
+      return { productLocation: { aisle: url.includes('/1') ? 'AISLE 18' : 'DAIRY/KOSHER BACK WALL' } };
+    },
+  };
+  const shopper = createShopper({ storeId: '592', api });
+  const { items } = shopper.parse('Pillsbury quick bake tubes: biscuits, crescents');
+  await shopper.resolveLocations(items.slice(0, 1));
+  assert.match(urls[0], /multisearch\?q=pillsbury%20biscuits&/);
+  assert.equal(items[0].product, 'Pillsbury Grands Biscuits');
+  assert.equal(items[0].aisle, 'Dairy');
+});
+
+test('branded and plain items keep their own cache entries and combined lines', async () => {
+  const queries = [];
+  const api = {
+    async get(url) {
+      if (url.includes('multisearch')) {
+        queries.push(decodeURIComponent(url.match(/q=([^&]*)/)[1]));
+        return { items: [{ items: [{ sku: '1', name: 'Biscuits Tube' }, { sku: '3', name: 'Pillsbury Grands Biscuits' }] }] };
+      }
+      return { productLocation: { aisle: url.endsWith('/1') ? 'AISLE 18' : 'DAIRY/KOSHER BACK WALL' } };
+    },
+  };
+  const shopper = createShopper({ storeId: '592', api });
+  const { items: [plain] } = shopper.parse('biscuits');
+  await shopper.resolveLocations([plain]);
+  // A brand prefix and a brand in the name give the same key
+  const { items: [branded] } = shopper.parse('Pillsbury tubes: biscuits, crescents');
+  const { items: [named] } = shopper.parse('pillsbury biscuits');
+  await shopper.resolveLocations([branded, named]);
+
+  assert.deepEqual(queries, ['biscuits', 'pillsbury biscuits']);
+  assert.deepEqual([plain.product, branded.product, named.product],
+    ['Biscuits Tube', 'Pillsbury Grands Biscuits', 'Pillsbury Grands Biscuits']);
+
+  const list = (source, text) => ({ source, items: parseShoppingList(text), directives: [] });
+  const { items } = combineLists([list('a', 'biscuits'), list('b', 'pillsbury biscuits')]);
+  assert.deepEqual(items.map(it => it.name), ['Biscuits', 'Pillsbury biscuits']);
+});
@@ -0,0 +1,104 @@
+// ============================================================
+// Checklist merge — checked state, new items, Dropped, trip names
+// ============================================================
+
+const { test, describe } = require('node:test');
+const assert = require('assert/strict');
+const { readChecklist, mergeChecklist, tripName, latestTrip } = require('../scraper/lib/checklist');
+const { renderMarkdown, renderItem } = require('../scraper/lib/markdown');
+
+const PREVIOUS = [
+  '# Shopping List — February 14, 2026 Sat 22:00',
+  '**Store:** ShopRite #592 — South Plainfield, NJ',
+  '',
+  '## Produce',
+  '- [x] Berries ×2 — ISLAND 1 *(under $5)*',
+  '- [ ] Grapes — ISLAND 1 *[new]*',
+  '',
+  '## Aisle 8',
+  '- [X] Coke',
+  '',
+  '## Dropped',
+  '- [x] ~~Ham *[override]*~~',
+  '',
+  '---',
+  '<details><summary>Original list (list.txt)</summary>',
+  '',
+  '```',
+  '- [x] not an item',
+  '```',
+].join('\n');
+
+describe('readChecklist', () => {
+  test('reads names and checkboxes, stopping at the original list', () => {
+    const { items, dropped } = readChecklist(PREVIOUS);
+    assert.deepEqual(items.map(i => [i.name, i.checked]), [['Berries', true], ['Grapes', false], ['Coke', true]]);
+    assert.deepEqual(dropped.map(i => [i.name, i.checked, i.line]), [['Ham', true, 'Ham *[override]*']]);
+  });
+
+  test('strips the new marker from the kept line', () => {
+    assert.equal(readChecklist(PREVIOUS).items[1].line, 'Grapes — ISLAND 1');
+  });
+});
+
+describe('mergeChecklist', () => {
+  test('keeps checks, marks additions, drops what is gone', () => {
+    const items = [{ name: 'berries' }, { name: 'Milk' }, { name: 'Ham' }];
+    const result = mergeChecklist(items, readChecklist(PREVIOUS));
+    assert.deepEqual(items.map(i => [i.name, i.checked, i.added]), [
+      ['berries', true, false],
+      ['Milk', false, true],
+      ['Ham', true, true],          // back from Dropped: still ticked, but new to the list
+    ]);
+    assert.deepEqual(result.dropped.map(d => d.name), ['Grapes', 'Coke']);
+    assert.equal(result.kept, 2);
+    assert.equal(result.added, 2);
+  });
+
+  test('duplicate names are matched in order', () => {
+    const prev = readChecklist('## Aisle 8\n- [x] Coke\n- [ ] Coke\n');
+    const items = [{ name: 'Coke' }, { name: 'Coke' }, { name: 'Coke' }];
+    mergeChecklist(items, prev);
+    assert.deepEqual(items.map(i => [i.checked, i.added]), [[true, false], [false, false], [false, true]]);
+  });
+
+  test('a priced, checked item keeps its check on the next run', () => {
+    const line = renderItem({ name: 'Bleach', checked: true, price: 2.99, sale: true, regularPrice: 3.49 });
+    assert.equal(line, '- [x] Bleach · $2.99, sale: was $3.49');
+    const prev = readChecklist(`## Aisle 15\n${line}\n${renderItem({ name: 'Sponge', price: 1.5 })}\n`);
+    assert.deepEqual(prev.items.map(i => i.key), ['bleach', 'sponge']);
+
+    const items = [{ name: 'Bleach' }, { name: 'Sponge' }];
+    mergeChecklist(items, prev);
+    assert.deepEqual(items.map(i => [i.checked, i.added]), [[true, false], [false, false]]);
+  });
+
+  test('dropped items render struck through and read back', () => {
+    const md = renderMarkdown({
+      groups: [],
+      dropped: [{ name: 'Grapes', checked: false, line: 'Grapes — ISLAND 1' }],
+      store: 'ShopRite #592',
+      now: new Date(2026, 1, 14, 22, 0),
+      sourceName: 'list.txt',
+      rawText: '',
+    });
+    assert.match(md, /## Dropped\n- \[ \] ~~Grapes — ISLAND 1~~\n/);
+    assert.deepEqual(readChecklist(md).dropped.map(d => d.line), ['Grapes — ISLAND 1']);
+  });
+});
+
+describe('trip names', () => {
+  const day = new Date(2026, 1, 4);
+
+  test('include the year, with a sequence from the second trip on', () => {
+    assert.equal(tripName(day), '2026-Feb-04.md');
+    assert.equal(tripName(day, 'html', 3), '2026-Feb-04-3.html');
+  });
+
+  test('latestTrip finds the highest sequence for the day and format', () => {
+    const files = ['2026-Feb-04.md', '2026-Feb-04-2.md', '2026-Feb-04-7.html', '2026-Feb-05-9.md', 'Feb-04.md'];
+    assert.equal(latestTrip(files, day), 2);
+    assert.equal(latestTrip(files, day, 'html'), 7);
+    assert.equal(latestTrip([], day), 0);
+  });
+});
@@ -0,0 +1,54 @@
+// ============================================================
+// Combining lists — term matching, quantities, notes, sources
+// ============================================================
+
+const { test } = require('node:test');
+const assert = require('assert/strict');
+const { combineLists, normalizeTerm } = require('../scraper/lib/combine');
+const { parseShoppingList } = require('../scraper/lib/nlp-parser');
+
+function list(source, text) {
+  const parsed = parseShoppingList(text);
+  return { source, items: parsed.filter(p => p.name && !p.directive), directives: parsed.filter(p => p.directive) };
+}
+
+test('normalizeTerm folds case, spacing and simple plurals', () => {
+  assert.equal(normalizeTerm('Black  Beans'), 'black bean');
+  assert.equal(normalizeTerm('avocados'), 'avocado');
+  assert.equal(normalizeTerm('berries'), 'berry');
+  assert.equal(normalizeTerm('hummus'), 'hummus');
+  assert.equal(normalizeTerm('swiss cheese'), 'swiss cheese');
+});
+
+test('quantities add up when they measure the same thing', () => {
+  const qty = (...lines) => combineLists(lines.map((text, i) => list(`l${i}`, text))).items[0].qty;
+  assert.equal(qty('2 coke', '3 coke'), '5');
+  assert.equal(qty('2 cans coke', '1 can coke'), '3 cans');
+  assert.equal(qty('3-4 coke', '2 coke'), '5-6');
+  assert.equal(qty('2 dozen eggs', '6 eggs'), '2 dozen + 6');
+  assert.equal(qty('milk', 'milk x2'), '2');
+  assert.equal(qty('milk', 'milk'), '');
+});
+
+test('same-product items merge across lists with their sources', () => {
+  const { items, directives } = combineLists([
+    list('mom', 'avocados (dark green)\n4 cans black beans\nFreezer section: surprise us.'),
+    list('dad', '2 avocados\n2 cans black beans\nOJ'),
+  ]);
+  assert.deepEqual(items.map(i => [i.name, i.qty, i.notes, i.sources]), [
+    ['Avocados', '2', 'dark green', ['mom', 'dad']],
+    ['Black beans', '6 cans', '', ['mom', 'dad']],
+    ['Orange juice', '', '', ['dad']],
+  ]);
+  assert.deepEqual(directives.map(d => [d.directive, d.source]), [['surprise us.', 'mom']]);
+});
+
+test('notes are concatenated without repeats', () => {
+  const { items } = combineLists([
+    list('a', 'berries (under $5)'),
+    list('b', 'berries (ripe)'),
+    list('c', 'berries (under $5)'),
+  ]);
+  assert.equal(items[0].notes, 'under $5; ripe');
+  assert.deepEqual(items[0].sources, ['a', 'b', 'c']);
+});
@@ -0,0 +1,64 @@
+// ============================================================
+// Output formats — json, csv, html, text renderers
+// ============================================================
+
+const { test } = require('node:test');
+const assert = require('assert/strict');
+const { FORMATS, getFormat, renderJson, renderCsv, renderHtml, renderText } = require('../scraper/lib/formats');
+const { parseShoppingList } = require('../scraper/lib/nlp-parser');
+
+const NOW = new Date(2026, 1, 14, 22, 0);
+
+function sample() {
+  const parsed = parseShoppingList('Fruits: berries (under $5), grapes\nFreezer section: surprise us.');
+  const [berries, grapes] = parsed.filter(p => p.name);
+  Object.assign(berries, { aisle: 'Produce', bay: 'ISLAND 1', notes: 'under $5, "ripe"' });
+  Object.assign(grapes, { aisle: 'Produce', bay: '' });
+  return {
+    groups: [{ aisle: 'Produce', items: [berries, grapes] }],
+    directives: parsed.filter(p => p.directive),
+    store: 'ShopRite #592 — South Plainfield, NJ',
+    now: NOW,
+    sourceName: 'list.txt',
+    rawText: '',
+  };
+}
+
+test('json carries every parsed field and the directives', () => {
+  const doc = JSON.parse(renderJson(sample()));
+  const [item] = doc.groups[0].items;
+  for (const field of ['name', 'qty', 'notes', 'lookupTerm', 'category', 'section', 'aisle', 'bay']) {
+    assert.ok(field in item, field);
+  }
+  assert.equal(item.category, 'Fruits');
+  assert.deepEqual(doc.directives.map(d => [d.section, d.directive]), [['Freezer section', 'surprise us.']]);
+});
+
+test('csv quotes commas and doubles embedded quotes', () => {
+  const [header, first] = renderCsv(sample()).split('\r\n');
+  assert.equal(header, 'aisle,bay,name,qty,qtyMin,qtyMax,unit,package,notes,lookupTerm,alternatives,brand,variety,storeBrandOk,category,section,sectionCheck,product,confidence,price,regularPrice,size,sale,promo,maxPrice,overBudget,sources');
+  assert.equal(first, 'Produce,ISLAND 1,Berries,,,,,,"under $5, ""ripe""",berries,,,,false,Fruits,,,,,,,,,,5,,');
+});
+
+test('html escapes text and lays aisles out as sections', () => {
+  const opts = sample();
+  opts.groups[0].items[1].name = 'Grapes <red>';
+  const html = renderHtml(opts);
+  assert.match(html, /<section><h2>Produce<\/h2><ul>/);
+  assert.match(html, /<li>Grapes &lt;red&gt;<\/li>/);
+  assert.match(html, /Freezer section: surprise us\./);
+});
+
+test('text is a plain checklist', () => {
+  const lines = renderText(sample()).split('\n');
+  assert.deepEqual(lines.slice(3, 6), [
+    'PRODUCE',
+    '  [ ] Berries — ISLAND 1 (under $5, "ripe")',
+    '  [ ] Grapes',
+  ]);
+});
+
+test('unknown formats name the choices', () => {
+  assert.equal(getFormat('markdown'), FORMATS.markdown);
+  assert.throws(() => getFormat('pdf'), /Unknown format "pdf" \(expected markdown, json, csv, html, text\)/);
+});
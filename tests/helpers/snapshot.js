@@ -0,0 +1,41 @@
+// ============================================================
+// Golden-file snapshots for node --test
+// ============================================================
+// matchSnapshot(name, value) compares value against
+// tests/__snapshots__/<name> (.json for objects, as-is for strings).
+//
+// To accept intended changes, re-run with UPDATE_SNAPSHOTS=1:
+//   UPDATE_SNAPSHOTS=1 node --test tests/*.test.js
+// A missing snapshot is written on first run, except under CI where
+// it fails instead so a forgotten file can't pass silently.
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert/strict');
+
+const SNAPSHOT_DIR = path.resolve(__dirname, '..', '__snapshots__');
+
+function serialize(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2) + '\n';
+}
+
+function matchSnapshot(name, value) {
+  const file = path.join(SNAPSHOT_DIR, name);
+  const actual = serialize(value);
+  const update = process.env.UPDATE_SNAPSHOTS === '1';
+
+  if (update || (!fs.existsSync(file) && !process.env.CI)) {
+    fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+    fs.writeFileSync(file, actual, 'utf-8');
+    return;
+  }
+  if (!fs.existsSync(file)) {
+    assert.fail(`Missing snapshot ${path.relative(process.cwd(), file)} — run with UPDATE_SNAPSHOTS=1`);
+  }
+
+  const expected = fs.readFileSync(file, 'utf-8');
+  assert.equal(actual, expected,
+    `Snapshot ${name} changed — if intended, re-run with UPDATE_SNAPSHOTS=1`);
+}
+
+module.exports = { matchSnapshot };
@@ -0,0 +1,137 @@
+// ============================================================
+// Trip history — recording, read-back ticks, reports, suggestions
+// ============================================================
+
+const { test } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadHistory, saveHistory, recordTrip, refreshChecked, oftenBought, historyReport, sectionWeights,
+} = require('../scraper/lib/history');
+const { renderMarkdown } = require('../scraper/lib/markdown');
+const { readChecklist } = require('../scraper/lib/checklist');
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.parse('2026-01-03T22:00:00.000Z');
+
+function item(name, aisle = 'Aisle 8', extra = {}) {
+  return { name, lookupTerm: name.toLowerCase(), qty: '', aisle, bay: '', product: null, ...extra };
+}
+
+// One trip a week; trips[i] is a list of items
+function historyOf(trips) {
+  const history = loadHistory(null);
+  trips.forEach((items, i) => recordTrip(history, {
+    file: `/lists/trip-${i + 1}.md`,
+    date: new Date(START + i * 7 * DAY).toISOString(),
+    storeId: '592',
+    items,
+  }));
+  return history;
+}
+
+test('recordTrip replaces an earlier record of the same file and keeps date order', () => {
+  const history = historyOf([[item('Milk', 'Dairy')], [item('Coke')]]);
+  recordTrip(history, {
+    file: '/lists/trip-1.md',
+    date: new Date(START).toISOString(),
+    storeId: 592,
+    items: [item('Milk', 'Dairy', { checked: true }), item('Eggs', 'Dairy')],
+  });
+  assert.deepEqual(history.trips.map(t => t.file), ['/lists/trip-1.md', '/lists/trip-2.md']);
+  assert.equal(history.trips[0].storeId, '592');
+  assert.deepEqual(history.trips[0].items.map(it => [it.name, it.checked]), [['Milk', true], ['Eggs', false]]);
+  assert.equal(history.changed, true);
+});
+
+test('refreshChecked pulls ticks back from trip files', () => {
+  const history = historyOf([[item('Milk', 'Dairy'), item('Coke')]]);
+  history.changed = false;
+  const md = '# List\n\n## Dairy\n- [x] Milk — BACK WALL\n\n## Aisle 8\n- [ ] Coke\n';
+  refreshChecked(history, () => new Map(readChecklist(md).items.map(e => [e.key, e.checked])));
+  assert.deepEqual(history.trips[0].items.map(it => it.checked), [true, false]);
+  assert.equal(history.changed, true);
+});
+
+test('historyReport ranks items, tracks aisle and price changes, and finds stale ones', () => {
+  const history = historyOf([
+    [item('Milk', 'Dairy'), item('Coke', 'Aisle 7', { price: 2.49 }), item('Hummus', 'Deli')],
+    [item('Milk', 'Dairy', { checked: true }), item('Coke', 'Aisle 8', { price: 2.49 }), item('Hummus', 'Deli')],
+    [item('milk', 'Dairy'), item('Coke', 'Aisle 8', { price: 2.79 })],
+  ]);
+  const now = START + 60 * DAY;
+  const report = historyReport(history, { now, staleDays: 30 });
+
+  assert.equal(report.trips, 3);
+  assert.deepEqual(report.mostBought.map(e => [e.name, e.trips, e.ticked]), [
+    ['Coke', 3, 0], ['milk', 3, 1], ['Hummus', 2, 0],
+  ]);
+  assert.deepEqual(report.changes.map(c => [c.name, c.kind, c.steps.map(s => s.value)]), [
+    ['Coke', 'aisle', ['Aisle 7', 'Aisle 8']],
+    ['Coke', 'price', [2.49, 2.79]],
+  ]);
+  assert.deepEqual(report.notSeen.map(e => [e.name, e.days]), [['Hummus', 53], ['Coke', 46], ['milk', 46]]);
+});
+
+test('oftenBought suggests frequent items missing from the list', () => {
+  const history = historyOf([
+    [item('Milk', 'Dairy'), item('Eggs', 'Dairy'), item('Coke')],
+    [item('Milk', 'Dairy'), item('Eggs', 'Dairy')],
+    [item('Milk', 'Dairy'), item('Coke'), item('Queso', 'Unknown')],
+  ]);
+  const suggestions = oftenBought(history, [item('milk', 'Dairy')]);
+  assert.deepEqual(suggestions.map(s => [s.name, s.count, s.of]), [['Eggs', 2, 3], ['Coke', 2, 3]]);
+
+  // Too few trips once the one being regenerated is left out
+  assert.deepEqual(oftenBought(history, [], { excludeFile: '/lists/trip-3.md' }), []);
+});
+
+test('the markdown section lists suggestions without checkboxes', () => {
+  const md = renderMarkdown({
+    groups: [{ aisle: 'Dairy', items: [item('Milk', 'Dairy')] }],
+    oftenBought: [
+      { name: 'Eggs', aisle: 'Dairy', count: 6, of: 8 },
+      { name: 'Queso', aisle: 'Unknown', count: 4, of: 8 },
+    ],
+    store: 'ShopRite #592',
+    now: new Date(START),
+    sourceName: 'list.txt',
+    rawText: 'milk',
+  });
+  assert.match(md, /## Often bought, not on this list\n- Eggs — Dairy \(6 of last 8 trips\)\n- Queso \(4 of last 8 trips\)\n/);
+  assert.deepEqual(readChecklist(md).items.map(e => e.name), ['Milk']);
+});
+
+test('headers lose weight as they prove wrong; hedged ones start at half', () => {
+  const fresh = sectionWeights(loadHistory(null));
+  assert.deepEqual(fresh, { sure: 1, hedged: 0.5 });
+
+  const history = historyOf([[
+    item('Coke', 'Aisle 8', { section: 'Aisle 2', sectionCheck: 'conflict' }),
+    item('Soap', 'Aisle 2', { section: 'Aisle 2', sectionCheck: 'agree' }),
+    item('Bleach', 'Aisle 9', { section: 'Aisle 4', sectionUncertain: true, sectionCheck: 'conflict' }),
+    item('Sponge', 'Aisle 9', { section: 'Aisle 4', sectionUncertain: true, sectionCheck: 'conflict' }),
+  ]]);
+  assert.deepEqual(historyReport(history).headers, { sure: { right: 1, wrong: 1 }, hedged: { right: 0, wrong: 2 } });
+  const weights = sectionWeights(history);
+  assert.equal(weights.sure, 5 / 6);
+  assert.equal(weights.hedged, (4 / 6) * 0.5);
+});
+
+test('loadHistory / saveHistory round-trip and reject a malformed file', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shop-history-'));
+  try {
+    const file = path.join(dir, 'history.json');
+    const history = loadHistory(file);
+    recordTrip(history, { file: '/lists/a.md', date: new Date(START).toISOString(), storeId: '592', items: [item('Milk')] });
+    saveHistory(history);
+    assert.equal(loadHistory(file).trips[0].items[0].name, 'Milk');
+
+    fs.writeFileSync(file, '{"trips": {}}');
+    assert.throws(() => loadHistory(file), /Invalid history file .*history\.json: "trips" must be an array/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
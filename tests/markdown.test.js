@@ -0,0 +1,97 @@
+// ============================================================
+// Markdown writer — grouping, item lines, full-output snapshot
+// ============================================================
+// The snapshot resolves the sample list against a fixed copy of the
+// #592 cache (tests/fixtures/cache-592.json) with a frozen clock, so
+// it only changes when the parser or the writer does.
+
+const { test, describe } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseShoppingList } = require('../scraper/lib/nlp-parser');
+const { groupByAisle, renderMarkdown, renderItem } = require('../scraper/lib/markdown');
+const { AISLE_SORT_ORDER } = require('../scraper/lib/aisleData');
+const { matchSnapshot } = require('./helpers/snapshot');
+
+const WALK_ORDER = { 'Produce': 1, 'Deli': 4, 'Aisle 1': 10, 'Aisle 2': 11, 'Dairy': 30, 'Unknown': 99 };
+const FROZEN_NOW = new Date(2026, 1, 14, 22, 0);   // Sat Feb 14 2026, 22:00 local
+
+describe('groupByAisle', () => {
+  test('orders groups by walk order, unlisted aisles just before Unknown', () => {
+    const items = [
+      { name: 'a', aisle: 'Dairy' },
+      { name: 'b', aisle: 'Unknown' },
+      { name: 'c', aisle: 'Aisle 40' },
+      { name: 'd', aisle: 'Produce' },
+      { name: 'e', aisle: 'Dairy' },
+    ];
+    const groups = groupByAisle(items, WALK_ORDER);
+    assert.deepEqual(groups.map(g => [g.aisle, g.items.map(i => i.name)]), [
+      ['Produce', ['d']],
+      ['Dairy', ['a', 'e']],
+      ['Aisle 40', ['c']],
+      ['Unknown', ['b']],
+    ]);
+  });
+});
+
+describe('renderItem', () => {
+  test('quantity, bay and notes', () => {
+    const line = renderItem({ name: 'Berries', qty: '2', bay: 'ISLAND 1', notes: 'under $5' });
+    assert.equal(line, '- [ ] Berries ×2 — ISLAND 1 *(under $5)*');
+  });
+
+  test('override and alias markers', () => {
+    assert.equal(renderItem({ name: 'Bread', override: true }), '- [ ] Bread *[override]*');
+    assert.equal(renderItem({ name: 'Munster', alias: 'muenster cheese' }), '- [ ] Munster *[alias: muenster cheese]*');
+  });
+
+  test('low-confidence matches ask for verification', () => {
+    const line = renderItem({ name: 'Ham', product: 'Ham Steak', confidence: 0.3 });
+    assert.equal(line, '- [ ] Ham **(verify: Ham Steak)**');
+    assert.equal(renderItem({ name: 'Ham', product: 'Ham Steak', confidence: 0.8 }), '- [ ] Ham');
+  });
+
+  test('merged items keep their checkmark and flag what is new', () => {
+    assert.equal(renderItem({ name: 'Milk', checked: true }), '- [x] Milk');
+    assert.equal(renderItem({ name: 'Eggs', qty: '12', added: true }), '- [ ] Eggs ×12 *[new]*');
+  });
+});
+
+test('last week\'s trip file as input is folded in once, inside a fence it can\'t close', () => {
+  const render = (rawText, sourceName) => renderMarkdown({
+    groups: groupByAisle(parseShoppingList(rawText), WALK_ORDER), store: 'ShopRite #592', now: FROZEN_NOW, sourceName, rawText,
+  });
+  const lastWeek = render('milk\neggs (the ```good``` ones)', 'list.txt');
+  const md = render(lastWeek, '2026-Feb-07.md');
+
+  assert.equal(md.match(/<details>/g).length, 1);
+  assert.equal(md.match(/<\/details>/g).length, 1);
+  assert.ok(md.endsWith('</details>\n'));
+  assert.doesNotMatch(md, /Original list \(list\.txt\)/);
+  // The fence is longer than the ``` left in the item notes
+  assert.match(md, /\n````\n# Shopping List — [^]*\n````\n<\/details>\n$/);
+});
+
+test('snapshot: sample list rendered from a fixed cache', () => {
+  const rawText = fs.readFileSync(path.join(__dirname, 'sample-shoppinglist.txt'), 'utf-8');
+  const cache = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'cache-592.json'), 'utf-8'))['592'];
+
+  const items = parseShoppingList(rawText).filter(p => p.name && !p.directive);
+  for (const item of items) {
+    const hit = cache[item.lookupTerm] || { aisle: 'Unknown', bay: '' };
+    item.aisle = hit.aisle;
+    item.bay = hit.bay;
+  }
+
+  const md = renderMarkdown({
+    groups: groupByAisle(items, AISLE_SORT_ORDER),
+    store: 'ShopRite #592 — South Plainfield, NJ',
+    now: FROZEN_NOW,
+    sourceName: 'sample-shoppinglist.txt',
+    rawText,
+  });
+  matchSnapshot('sample-shoppinglist.md', md);
+});
+
@@ -0,0 +1,262 @@
+// ============================================================
+// NLP parser — stage-by-stage cases plus full-list snapshots
+// ============================================================
+
+const { test, describe } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  parseShoppingList, normalizeInput, splitIntoBlocks, expandLine, parseItem,
+} = require('../scraper/lib/nlp-parser');
+const { matchSnapshot } = require('./helpers/snapshot');
+
+// parseItem input as expandLine would produce it
+function entry(itemText, extra = {}) {
+  return { raw: itemText, itemText, section: null, category: null, sharedQty: null, ...extra };
+}
+
+describe('normalizeInput', () => {
+  test('strips checkboxes, numbering, bullets and emoji; checked items are done', () => {
+    const { text, done } = normalizeInput('- [ ] milk\n- [x] eggs\n1. bread x2\n2) 1.5 lb ground beef\n• apples\n🥛 oat milk\n✅ coke');
+    assert.equal(text, 'milk\nbread x2\n1.5 lb ground beef\napples\noat milk');
+    assert.deepEqual(done, ['eggs', 'coke']);
+  });
+
+  test('drops chat stamps and sender prefixes', () => {
+    const { text } = normalizeInput('Jane, 9:41 PM\nmilk\n[2/14/26, 9:42 PM] Jane: eggs\nDelivered');
+    assert.equal(text, 'milk\neggs');
+  });
+
+  test('markdown headings become section headers only when Stage 1 knows them', () => {
+    assert.equal(normalizeInput('## Dairy section\nmilk\n## Weekend\nchips').text, 'Dairy section:\nmilk\nchips');
+  });
+
+  test('a previous trip file gives back its unchecked items', () => {
+    const md = [
+      '# Shopping List — February 7, 2026 Sat 10:00',
+      '**Store:** ShopRite #592',
+      '',
+      '## Aisle 12',
+      '- [x] Black beans ×4 cans — BACK WALL',
+      '- [ ] Berries ×2 — ISLAND 1 *(under $5)* · $4.49',
+      '  - not an item',
+      '- *Suggestion:* Freezer section: surprise us.',
+      '',
+      '## Dropped',
+      '- [ ] ~~Queso~~',
+      '',
+      '---',
+      'milk',
+    ].join('\n');
+    assert.deepEqual(normalizeInput(md), { text: '2 Berries (under $5)', done: ['4 cans Black beans'] });
+  });
+});
+
+describe('splitIntoBlocks', () => {
+  test('section headers set the section and are not items', () => {
+    const blocks = splitIntoBlocks('Aisle 2:\n4 cans black beans\n2 cans tomato paste');
+    assert.deepEqual(blocks.map(b => [b.type, b.text, b.section]), [
+      ['items', '4 cans black beans', 'Aisle 2'],
+      ['items', '2 cans tomato paste', 'Aisle 2'],
+    ]);
+  });
+
+  test('blank and indented lines are trimmed away', () => {
+    const blocks = splitIntoBlocks('\n    bleach\n\n\n   OJ  \n');
+    assert.deepEqual(blocks.map(b => b.text), ['bleach', 'OJ']);
+  });
+
+  test('parentheticals are dropped from the section name', () => {
+    const [block] = splitIntoBlocks('Aisle 4 (I think):\nbleach');
+    assert.equal(block.section, 'Aisle 4');
+  });
+
+  test('hedged headers are marked uncertain', () => {
+    const blocks = splitIntoBlocks('Aisle 4 (I think):\nbleach\nAisle 2:\nsoap\nAcross back of store (maybe)\nham');
+    assert.deepEqual(blocks.map(b => [b.section, b.sectionUncertain]), [
+      ['Aisle 4', true], ['Aisle 2', false], ['Across back of store', true],
+    ]);
+  });
+
+  test('inline content after a header colon is kept', () => {
+    const [block] = splitIntoBlocks('Aisle 1: Sour dough bread x2');
+    assert.deepEqual([block.type, block.text, block.section], ['items', 'Sour dough bread x2', 'Aisle 1']);
+  });
+
+  test('a directive after a header colon becomes a directive block', () => {
+    const [block] = splitIntoBlocks('Freezer section: surprise us if something looks tasty.');
+    assert.equal(block.type, 'directive');
+    assert.equal(block.section, 'Freezer section');
+  });
+
+  test('non-aisle headers are recognized', () => {
+    const text = 'Across Back of store:\nham\nLast aisle:\nbutter';
+    assert.deepEqual(splitIntoBlocks(text).map(b => b.section), ['Across Back of store', 'Last aisle']);
+  });
+});
+
+describe('expandLine', () => {
+  const items = (text, section = null) =>
+    expandLine({ type: 'items', text, section, raw: text });
+
+  test('splits on commas', () => {
+    assert.deepEqual(items('berries, grapes, apples').map(e => e.itemText), ['berries', 'grapes', 'apples']);
+  });
+
+  test('splits on "and" unless it is a known compound', () => {
+    assert.deepEqual(items('Cheerios and Frosted Flakes').map(e => e.itemText), ['Cheerios', 'Frosted Flakes']);
+    assert.deepEqual(items('half and half').map(e => e.itemText), ['half and half']);
+    assert.deepEqual(items('mac and cheese').map(e => e.itemText), ['mac and cheese']);
+  });
+
+  test('extracts a category prefix', () => {
+    const out = items('Fruits: berries, grapes');
+    assert.deepEqual(out.map(e => [e.itemText, e.category]), [['berries', 'Fruits'], ['grapes', 'Fruits']]);
+  });
+
+  test('category prefix may carry a parenthetical', () => {
+    const out = items('Cold cuts (their brand name is fine): Turkey, Ham');
+    assert.deepEqual(out.map(e => e.category), ['Cold cuts', 'Cold cuts']);
+  });
+
+  test('extracts a shared quantity after the category', () => {
+    const out = items('Veggies: 1 bag each: carrots, celery');
+    assert.deepEqual(out.map(e => [e.itemText, e.category, e.sharedQty]), [
+      ['carrots', 'Veggies', '1 bag each'],
+      ['celery', 'Veggies', '1 bag each'],
+    ]);
+  });
+
+  test('a generic "qualifier:" prefix before a list becomes the category', () => {
+    const out = items('Pillsbury quick bake tubes: cinnamon rolls, biscuits');
+    assert.deepEqual(out.map(e => e.category), ['Pillsbury quick bake tubes', 'Pillsbury quick bake tubes']);
+  });
+
+  test('directives inside a list are separated out', () => {
+    const out = items('salami, provolone, anything you like.');
+    assert.deepEqual(out.map(e => e.directive || e.itemText), ['anything you like.', 'salami', 'provolone']);
+  });
+
+  test('directive blocks pass straight through', () => {
+    const out = expandLine({ type: 'directive', text: 'surprise us', section: 'Freezer section', raw: 'r' });
+    assert.deepEqual(out, [{ raw: 'r', directive: 'surprise us', section: 'Freezer section' }]);
+  });
+
+  test('the section rides along on every item', () => {
+    assert.deepEqual(items('coke, ginger ale', 'Last aisle').map(e => e.section), ['Last aisle', 'Last aisle']);
+  });
+});
+
+describe('parseItem', () => {
+  const cases = [
+    // [input, name, qty, notes, lookupTerm]
+    ['Dz eggs x2',                        'Eggs',                   '2 dozen',          '',                'eggs'],
+    ['1/2 & 1/2 x6',                      'Half and half',          '6',                '',                'half and half'],
+    ['3-4 avocados (dark green ones)',    'Avocados',               '3-4',              'dark green ones', 'avocados'],
+    ['4 cans black beans',                'Black beans',            '4 cans',           '',                'black beans'],
+    ['2 large packs of seltzer',          'Seltzer',                '2 large packs',    '',                'seltzer'],
+    ['Couscous x5',                       'Couscous',               '5',                '',                'couscous'],
+    ['Extra Virgin Olive Oil',            'Extra Virgin Olive Oil', '',                 '',                'olive oil'],
+    ['OJ',                                'Orange juice',           '',                 '',                'orange juice'],
+    ['honey or deli Ham',                 'honey or deli Ham',      '',                 '',                'ham'],
+    ['yellow or white potatoes',          'Yellow or white potatoes', '',               '',                'potatoes'],
+    ['Frozen veggies we eat',             'Frozen veggies we eat',  '',                 '',                'frozen vegetables'],
+    ['Dry beans in a bag (get each type)', 'Dry beans in a bag',    '',                 'get each type',   'dry beans'],
+    ['Salted butter x2',                  'Salted butter',          '2',                '',                'butter'],
+    ['7up',                               '7up',                    '',                 '',                '7up'],
+  ];
+
+  for (const [input, name, qty, notes, lookupTerm] of cases) {
+    test(input, () => {
+      const item = parseItem(entry(input));
+      assert.deepEqual(
+        { name: item.name, qty: item.qty, notes: item.notes, lookupTerm: item.lookupTerm },
+        { name, qty, notes, lookupTerm }
+      );
+    });
+  }
+
+  test('quantities are structured', () => {
+    const q = text => parseItem(entry(text)).quantity;
+    assert.deepEqual(q('3-4 avocados'), { min: 3, max: 4, unit: null, package: null, each: false, text: '3-4' });
+    assert.deepEqual(q('2 large packs of seltzer'),
+      { min: 2, max: 2, unit: null, package: 'large pack', each: false, text: '2 large packs' });
+    assert.deepEqual(q('Dz eggs x2'), { min: 2, max: 2, unit: 'dozen', package: null, each: false, text: '2 dozen' });
+    assert.equal(q('Extra Virgin Olive Oil'), null);
+  });
+
+  const spelled = [
+    // [input, name, qty, min, max, unit, package]
+    ['two cans tomato paste',   'Tomato paste', '2 cans',     2,   2,   null,     'can'],
+    ['a dozen eggs',            'Eggs',         '1 dozen',    1,   1,   'dozen',  null],
+    ['half gallon milk',        'Milk',         '1/2 gallon', 0.5, 0.5, 'gallon', null],
+    ['half a gallon of milk',   'Milk',         '1/2 gallon', 0.5, 0.5, 'gallon', null],
+    ['1.5 lb ground beef',      'Ground beef',  '1.5 lb',     1.5, 1.5, 'lb',     null],
+    ['12 oz cream cheese',      'Cream cheese', '12 oz',      12,  12,  'oz',     null],
+    ['2 cans black beans x2',   'Black beans',  '4 cans',     4,   4,   null,     'can'],
+  ];
+
+  for (const [input, name, qty, min, max, unit, pkg] of spelled) {
+    test(input, () => {
+      const item = parseItem(entry(input));
+      assert.deepEqual(
+        [item.name, item.qty, item.quantity.min, item.quantity.max, item.quantity.unit, item.quantity.package],
+        [name, qty, min, max, unit, pkg]
+      );
+    });
+  }
+
+  test('"half and half" is not a quantity; a size word needs a package', () => {
+    assert.equal(parseItem(entry('half and half')).quantity, null);
+    assert.equal(parseItem(entry('2 large avocados')).qty, '2');
+  });
+
+  test('shared quantity applies when the item has none of its own', () => {
+    const carrots = parseItem(entry('carrots', { sharedQty: '1 bag each' }));
+    assert.equal(carrots.qty, '1 bag each');
+    assert.deepEqual([carrots.quantity.package, carrots.quantity.each], ['bag', true]);
+    assert.equal(parseItem(entry('3 carrots', { sharedQty: '1 bag each' })).qty, '3');
+  });
+
+  test('category and section are carried through', () => {
+    const item = parseItem(entry('grapes', { category: 'Fruits', section: 'Aisle 1' }));
+    assert.equal(item.category, 'Fruits');
+    assert.equal(item.section, 'Aisle 1');
+    assert.equal(item.directive, null);
+  });
+
+  test('"or" alternatives are kept, each with its own lookup term', () => {
+    const alts = input => parseItem(entry(input)).alternatives.map(a => [a.name, a.lookupTerm]);
+    assert.deepEqual(alts('honey or deli Ham'), [['honey Ham', 'honey ham'], ['deli Ham', 'deli ham']]);
+    assert.deepEqual(alts('Sugar in the raw or organic sugar'),
+      [['Sugar in the raw', 'sugar in the raw'], ['organic sugar', 'organic sugar']]);
+    assert.deepEqual(alts('dark chocolate or milk'), [['Dark chocolate', 'dark chocolate'], ['milk chocolate', 'milk chocolate']]);
+    assert.equal(parseItem(entry('grapes')).alternatives, null);
+  });
+
+  test('directives parse to a nameless entry', () => {
+    const item = parseItem({ raw: 'r', directive: 'anything you like', section: 'Across Back of store' });
+    assert.equal(item.name, null);
+    assert.equal(item.lookupTerm, null);
+    assert.equal(item.directive, 'anything you like');
+  });
+});
+
+describe('parseShoppingList', () => {
+  test('runs all three stages in order', () => {
+    const parsed = parseShoppingList('Cereal: Cheerios and Frosted Flakes\nDz eggs x2');
+    assert.deepEqual(parsed.map(p => [p.name, p.qty, p.category]), [
+      ['Cheerios', '', 'Cereal'],
+      ['Frosted Flakes', '', 'Cereal'],
+      ['Eggs', '2 dozen', null],
+    ]);
+  });
+
+  for (const file of ['sample-shoppinglist.txt', 'Unstructured-Groceries.txt']) {
+    test(`snapshot: ${file}`, () => {
+      const text = fs.readFileSync(path.join(__dirname, file), 'utf-8');
+      matchSnapshot(`${path.basename(file, '.txt')}.parsed.json`, parseShoppingList(text));
+    });
+  }
+});
@@ -0,0 +1,124 @@
+// ============================================================
+// Prices — detail prices, sale flags, budget ceilings, trip total
+// ============================================================
+
+const { test } = require('node:test');
+const assert = require('assert/strict');
+const { priceInfo, priceCeiling, priceText, tripTotal } = require('../scraper/lib/prices');
+const { createShopper, loadCache } = require('../scraper/lib/shopper');
+const { renderMarkdown, renderItem } = require('../scraper/lib/markdown');
+const { parseShoppingList } = require('../scraper/lib/nlp-parser');
+
+// Three berry products; the best name match is the priciest
+const PRODUCTS = [
+  { sku: '1', name: 'Driscoll Berries' },
+  { sku: '2', name: 'Berries Medley Pack' },
+  { sku: '3', name: 'ShopRite Mixed Berries Frozen' },
+];
+const DETAILS = {
+  1: { productLocation: { aisle: 'PRODUCE ISLAND 1' }, priceNumeric: 6.99, size: '18 oz' },
+  2: { productLocation: { aisle: 'PRODUCE ISLAND 1' }, price: '$4.49', wasPrice: '$5.29', size: '12 oz' },
+  3: { productLocation: { aisle: 'FROZEN' }, priceNumeric: 5.49, promotions: [{ description: 'Buy 2 Save $1' }] },
+};
+
+function fakeApi(calls = []) {
+  return {
+    async get(url) {
+      calls.push(url);
+      if (url.includes('multisearch')) return { items: [{ items: PRODUCTS }] };
+      return DETAILS[url.match(/products\/(\w+)/)[1]];
+    },
+  };
+}
+
+test('priceInfo reads numbers or price strings, sales and promotions', () => {
+  assert.deepEqual(priceInfo(DETAILS[2]), {
+    price: 4.49, regularPrice: 5.29, size: '12 oz', unitPrice: null, sale: true, promo: null,
+  });
+  assert.equal(priceInfo(DETAILS[3]).promo, 'Buy 2 Save $1');
+  assert.equal(priceInfo(DETAILS[1]).sale, false);
+  assert.equal(priceInfo({ productLocation: {} }), null);
+  assert.equal(priceText(priceInfo(DETAILS[2])), '$4.49 / 12 oz, sale: was $5.29');
+});
+
+test('budget notes become a price ceiling', () => {
+  assert.equal(priceCeiling('under $5'), 5);
+  assert.equal(priceCeiling('ripe; less than $3.50'), 3.5);
+  assert.equal(priceCeiling('$10 max'), 10);
+  assert.equal(priceCeiling('no more than 8 dollars'), 8);
+  assert.equal(priceCeiling('the $5 ones are fine'), null);
+  assert.equal(parseShoppingList('berries (under $5)')[0].maxPrice, 5);
+});
+
+test('the ceiling steers the pick, and items with nothing under it are flagged', async () => {
+  const shopper = createShopper({ storeId: '592', api: fakeApi() });
+  const { items } = shopper.parse('berries (under $5)\nberries (under $4)');
+  const { summary } = await shopper.resolveLocations(items);
+
+  assert.equal(items[0].product, 'Berries Medley Pack');
+  assert.equal(items[0].price, 4.49);
+  assert.equal(items[0].overBudget, false);
+  assert.equal(items[1].overBudget, true);
+  assert.equal(summary.overBudget, 1);
+  assert.match(renderItem(items[0]), / · \$4\.49 \/ 12 oz, sale: was \$5\.29$/);
+  assert.match(renderItem(items[1]), /\*\*\(nothing under \$4\.00\)\*\*$/);
+});
+
+test('a cached pick over the ceiling is looked up again', async () => {
+  const calls = [];
+  const cache = loadCache(null, '592');
+  const shopper = createShopper({ storeId: '592', api: fakeApi(calls), cache });
+  await shopper.resolveLocations(shopper.parse('berries').items);
+  assert.equal(cache.entries.get('berries').price, 6.99);
+
+  calls.length = 0;
+  const { items } = shopper.parse('berries (under $5)');
+  await shopper.resolveLocations(items);
+  assert.ok(calls.some(url => url.includes('multisearch')));
+  assert.equal(items[0].price, 4.49);
+});
+
+test('a pick with nothing under its ceiling is not looked up again', async () => {
+  const calls = [];
+  const cache = loadCache(null, '592');
+  const shopper = createShopper({ storeId: '592', api: fakeApi(calls), cache });
+  await shopper.resolveLocations(shopper.parse('berries (under $4)').items);
+  assert.equal(cache.entries.get('berries').maxPrice, 4);
+
+  calls.length = 0;
+  const { items } = shopper.parse('berries (under $4)\nberries (under $3)');
+  await shopper.resolveLocations(items.slice(0, 1));
+  assert.deepEqual(calls, []);
+  assert.equal(items[0].overBudget, true);
+  // A tighter ceiling than the pick was made under still looks again
+  await shopper.resolveLocations(items.slice(1));
+  assert.ok(calls.some(url => url.includes('multisearch')));
+});
+
+test('entries cached before prices keep their location, unpriced', async () => {
+  const calls = [];
+  const cache = loadCache(null, '592');
+  cache.entries.set('berries', { aisle: 'Produce', bay: 'ISLAND 1', lookedUpAt: new Date().toISOString() });
+  const shopper = createShopper({ storeId: '592', api: fakeApi(calls), cache });
+  const { items } = shopper.parse('berries');
+  await shopper.resolveLocations(items);
+  assert.deepEqual(calls, []);
+  assert.deepEqual([items[0].aisle, items[0].price], ['Produce', null]);
+});
+
+test('counted units multiply the price; weights and volumes are one package', () => {
+  const items = parseShoppingList('2 dozen eggs\n3 cans tomatoes\n3-4 boxes cereal\n2 lb apples\nhalf gallon milk');
+  items.forEach(it => { it.price = 1; });
+  assert.deepEqual(tripTotal([{ aisle: 'Aisle 1', items }]), { total: 11, priced: 5, unpriced: 0 });
+});
+
+test('the trip total multiplies by count and notes unpriced items', () => {
+  const [milk, coke, apples] = parseShoppingList('milk\n3 coke\n2 lb apples');
+  Object.assign(milk, { price: 3.49 });
+  Object.assign(coke, { price: 2.5 });
+  const groups = [{ aisle: 'Dairy', items: [milk] }, { aisle: 'Aisle 8', items: [coke, apples] }];
+  assert.deepEqual(tripTotal(groups), { total: 10.99, priced: 2, unpriced: 1 });
+
+  const md = renderMarkdown({ groups, store: 'ShopRite #592', now: new Date(2026, 1, 14), sourceName: 'list', rawText: '' });
+  assert.match(md, /\*\*Store:\*\* ShopRite #592\n\*\*Estimated total:\*\* \$10\.99 \(1 item not priced\)\n/);
+});
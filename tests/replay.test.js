@@ -0,0 +1,137 @@
+// ============================================================
+// End-to-end CLI run against recorded fixtures (no network)
+// ============================================================
+// tests/fixtures/http (tests/fixtures/replay-list.txt) and
+// tests/fixtures/http-sample (tests/sample-shoppinglist.txt) were
+// recorded with --record from a local stand-in server serving the #592
+// locations in tests/fixtures/cache-592.json, so they exercise the
+// whole pipeline — parse, overrides, search scoring, detail lookups,
+// prices, aisle parsing, section headers, suggestions, grouping and
+// the markdown file — without reaching ShopRite.
+
+const { test } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { matchSnapshot } = require('./helpers/snapshot');
+
+const SHOP = path.resolve(__dirname, '..', 'scraper', 'shop.js');
+const FIXTURES = path.join(__dirname, 'fixtures', 'http');
+const SAMPLE_FIXTURES = path.join(__dirname, 'fixtures', 'http-sample');
+
+function runShop(input, ...flags) {
+  return spawnSync(process.execPath, [SHOP, input, `--replay=${FIXTURES}`, '--no-cache', '--no-staples', '--no-history', ...flags], {
+    encoding: 'utf-8',
+  });
+}
+
+test('replays the fixture list end to end', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shop-replay-'));
+  try {
+    const input = path.join(dir, 'replay-list.txt');
+    fs.copyFileSync(path.join(__dirname, 'fixtures', 'replay-list.txt'), input);
+
+    const run = runShop(input);
+    assert.equal(run.status, 0, run.stderr);
+    assert.match(run.stderr, /\(5 items, 4 found, 1 not found, 0 API errors\)/);
+
+    const [outName] = fs.readdirSync(dir).filter(f => f.endsWith('.md'));
+    assert.ok(outName, 'markdown file written');
+
+    const md = fs.readFileSync(path.join(dir, outName), 'utf-8');
+    const body = md.slice(md.indexOf('\n## '), md.indexOf('\n---'));
+    assert.equal(body, [
+      '',
+      '## Aisle 8',
+      '- [ ] Coke',
+      '- [ ] Ginger ale',
+      '',
+      '## Aisle 12',
+      '- [ ] Black beans ×4 cans',
+      '',
+      '## Dairy',
+      '- [ ] Milk — BACK WALL',
+      '',
+      '## Unknown',
+      '- [ ] Queso',
+      '',
+    ].join('\n'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('replays the sample list end to end', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shop-replay-'));
+  try {
+    const input = path.join(dir, 'sample-shoppinglist.txt');
+    fs.copyFileSync(path.join(__dirname, 'sample-shoppinglist.txt'), input);
+
+    const run = spawnSync(process.execPath, [
+      SHOP, input, `--replay=${SAMPLE_FIXTURES}`, '--no-cache', '--no-staples', '--no-history', '--no-vocabulary',
+    ], { encoding: 'utf-8' });
+    assert.equal(run.status, 0, run.stderr);
+    assert.match(run.stderr, /\(44 items, 42 found, 0 not found, 0 API errors, 2 placed by your headers, /);
+
+    const [outName] = fs.readdirSync(dir).filter(f => f.endsWith('.md'));
+    const md = fs.readFileSync(path.join(dir, outName), 'utf-8');
+    assert.match(md, /\*\*Estimated total:\*\* \$187\.36 \(3 items not priced\)\n/);
+    matchSnapshot('sample-shoppinglist.replay.md', md.slice(md.indexOf('\n## ') + 1, md.indexOf('\n---') + 1));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a re-run keeps ticked items; --new-trip starts a second file', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shop-replay-'));
+  try {
+    const input = path.join(dir, 'replay-list.txt');
+    fs.copyFileSync(path.join(__dirname, 'fixtures', 'replay-list.txt'), input);
+    assert.equal(runShop(input).status, 0);
+
+    const [outName] = fs.readdirSync(dir).filter(f => f.endsWith('.md'));
+    assert.match(outName, /^\d{4}-[A-Z][a-z]{2}-\d{2}\.md$/);
+    const outPath = path.join(dir, outName);
+    fs.writeFileSync(outPath, fs.readFileSync(outPath, 'utf-8').replace('- [ ] Coke', '- [x] Coke'));
+
+    // Drop queso, keep the rest
+    fs.writeFileSync(input, 'Last aisle:\nmilk\ncoke, ginger ale\n4 cans black beans\n');
+    const rerun = runShop(input);
+    assert.equal(rerun.status, 0, rerun.stderr);
+    assert.match(rerun.stderr, /merged: 1 checked kept, 0 new, 1 dropped/);
+
+    const md = fs.readFileSync(outPath, 'utf-8');
+    assert.match(md, /- \[x\] Coke\n/);
+    assert.match(md, /## Dropped\n- \[ \] ~~Queso~~\n/);
+
+    assert.equal(runShop(input, '--new-trip').status, 0);
+    const second = outName.replace(/\.md$/, '-2.md');
+    assert.deepEqual(fs.readdirSync(dir).filter(f => f.endsWith('.md')).sort(), [outName, second].sort());
+    assert.doesNotMatch(fs.readFileSync(path.join(dir, second), 'utf-8'), /\[x\]/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('reads a pasted checklist from stdin and skips what is already checked', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shop-replay-'));
+  try {
+    const pasted = 'Jane, 9:41 PM\n- [ ] milk\n- [x] queso\n1. coke\n• 4 cans black beans\n';
+    const run = spawnSync(process.execPath, [SHOP, '-', `--replay=${FIXTURES}`, '--no-cache', '--no-staples', '--no-history'], {
+      encoding: 'utf-8',
+      input: pasted,
+      cwd: dir,
+    });
+    assert.equal(run.status, 0, run.stderr);
+    assert.match(run.stderr, /Parsing stdin\.\.\. 3 items/);
+    assert.match(run.stderr, /Skipping 1 item already checked off: queso/);
+
+    const [outName] = fs.readdirSync(dir).filter(f => f.endsWith('.md'));
+    const md = fs.readFileSync(path.join(dir, outName), 'utf-8');
+    assert.deepEqual(md.slice(0, md.indexOf('\n---')).match(/^- \[ \] .+$/gm), ['- [ ] Coke', '- [ ] Black beans ×4 cans', '- [ ] Milk — BACK WALL']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
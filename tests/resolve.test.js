@@ -0,0 +1,43 @@
+// ============================================================
+// Interactive resolve — which items are asked about, and answers
+// ============================================================
+
+const { test } = require('node:test');
+const assert = require('assert/strict');
+const { PassThrough, Writable } = require('stream');
+const { resolveItems, needsResolve } = require('../scraper/lib/resolve');
+
+// A terminal stand-in: each prompt is answered with the next answer
+function terminal(answers) {
+  const input = new PassThrough();
+  let text = '';
+  const output = new Writable({
+    write(chunk, enc, done) {
+      text += chunk;
+      if (/(?:> |: )$/.test(String(chunk))) setImmediate(() => input.write(`${answers.shift() ?? ''}\n`));
+      done();
+    },
+  });
+  return { input, output, text: () => text };
+}
+
+test('items placed only by the header, or disputed by it, are asked about', () => {
+  assert.equal(needsResolve({ aisle: 'Aisle 2', sectionCheck: 'fallback' }), true);
+  assert.equal(needsResolve({ aisle: 'Aisle 8', sectionCheck: 'conflict' }), true);
+  assert.equal(needsResolve({ aisle: 'Aisle 2', sectionCheck: 'agree', confidence: 0.9 }), false);
+});
+
+test('a header-placed item that was not found can be given an aisle', async () => {
+  const item = {
+    name: 'Soap', lookupTerm: 'soap', aisle: 'Aisle 2', bay: '', section: 'Aisle 2', sectionCheck: 'fallback',
+  };
+  const term = terminal(['m', '4', '']);
+  const choices = await resolveItems([item], {
+    search: async () => [],
+    parseAisleText: raw => ({ aisle: `Aisle ${raw}`, bay: '' }),
+    input: term.input,
+    output: term.output,
+  });
+  assert.match(term.text(), /\[1\/1\] Soap \(lookup: "soap"\) — not found; Aisle 2 from your list\n/);
+  assert.deepEqual(choices, [{ item, searchTerm: null, result: { aisle: 'Aisle 4', bay: '' } }]);
+});
@@ -0,0 +1,122 @@
+// ============================================================
+// Route planning — layout graphs, cold-items-last, fallbacks
+// ============================================================
+
+const { test } = require('node:test');
+const assert = require('assert/strict');
+const { planRoute, routeWalkOrder, describeRoute, validateLayout } = require('../scraper/lib/route');
+const { createShopper } = require('../scraper/lib/shopper');
+const { loadStoreProfile } = require('../scraper/lib/storeProfiles');
+const { renderMarkdown } = require('../scraper/lib/markdown');
+
+// Entrance on the left, a front corridor past Produce to Checkout, and
+// a back wall (Dairy, Frozen) reached through either aisle:
+//
+//   Dairy(0,100) ─ Backwall(50,100) ─ Frozen(100,100)
+//     │                                  │
+//   Aisle 1(0,50)                     Aisle 2(100,50)
+//     │                                  │
+//   Entrance(0,0) ─ Produce(50,0) ─ Checkout(100,0)
+const LAYOUT = {
+  unit: 'ft',
+  entrance: 'Entrance',
+  checkout: 'Checkout',
+  zones: {
+    'Entrance': { at: [0, 0] },
+    'Produce':  { at: [50, 0] },
+    'Checkout': { at: [100, 0] },
+    'Aisle 1':  { at: [0, 50] },
+    'Aisle 2':  { at: [100, 50] },
+    'Dairy':    { at: [0, 100], cold: true },
+    'Backwall': { at: [50, 100] },
+    'Frozen':   { at: [100, 100], cold: true },
+  },
+  connections: [
+    ['Entrance', 'Produce'], ['Produce', 'Checkout'],
+    ['Entrance', 'Aisle 1'], ['Aisle 1', 'Dairy'], ['Dairy', 'Backwall'],
+    ['Backwall', 'Frozen'], ['Frozen', 'Aisle 2'], ['Aisle 2', 'Checkout'],
+  ],
+};
+
+test('the shortest walk visits only the zones on the list', () => {
+  const route = planRoute(LAYOUT, ['Aisle 2', 'Dairy', 'Aisle 1', 'Dairy']);
+  assert.deepEqual(route.order, ['Aisle 1', 'Dairy', 'Aisle 2']);
+  assert.equal(Math.round(route.distance), 300);
+  assert.deepEqual(route.offRoute, []);
+});
+
+test('coldLast puts cold zones after everything else', () => {
+  const layout = { ...LAYOUT, rules: { coldLast: true } };
+  const route = planRoute(layout, ['Dairy', 'Aisle 2', 'Produce', 'Frozen']);
+  assert.deepEqual(route.order, ['Produce', 'Aisle 2', 'Frozen', 'Dairy']);
+  assert.ok(route.rules.coldLast);
+});
+
+test('skipEmpty: false walks every zone; aisles outside the layout follow the route', () => {
+  const route = planRoute({ ...LAYOUT, rules: { skipEmpty: false } }, ['Produce', 'Aisle 12', 'Unknown']);
+  assert.equal(route.order.length, 6);
+  assert.deepEqual(route.offRoute, ['Aisle 12', 'Unknown']);
+
+  const order = routeWalkOrder(route, { 'Aisle 12': 21 });
+  assert.ok(order['Produce'] < order['Aisle 12'] && order['Aisle 12'] < order['Unknown']);
+});
+
+test('with coldLast, aisles outside the layout still come before the cold stops', () => {
+  const route = planRoute({ ...LAYOUT, rules: { coldLast: true } }, ['Dairy', 'Aisle 12', 'Produce', 'Unknown']);
+  assert.deepEqual(route.cold, ['Dairy']);
+
+  const order = routeWalkOrder(route, { 'Aisle 12': 21 });
+  const walk = Object.keys(order).sort((a, b) => order[a] - order[b]);
+  assert.deepEqual(walk, ['Produce', 'Aisle 12', 'Dairy', 'Unknown']);
+});
+
+test('long routes fall back to the heuristic and still respect coldLast', () => {
+  const zones = { Entrance: { at: [0, 0] }, Checkout: { at: [150, 0] } };
+  const connections = [];
+  let prev = 'Entrance';
+  for (let i = 1; i <= 14; i++) {
+    zones[`Aisle ${i}`] = { at: [i * 10, 0], cold: i <= 2 };
+    connections.push([prev, `Aisle ${i}`]);
+    prev = `Aisle ${i}`;
+  }
+  connections.push([prev, 'Checkout']);
+  const layout = { entrance: 'Entrance', checkout: 'Checkout', zones, connections, rules: { coldLast: true } };
+
+  const aisles = Object.keys(zones).filter(z => z.startsWith('Aisle')).reverse();
+  const { order } = planRoute(layout, aisles);
+  assert.equal(order.length, 14);
+  assert.deepEqual(order.slice(-2).sort(), ['Aisle 1', 'Aisle 2']);
+  assert.deepEqual(order.slice(0, 12), Array.from({ length: 12 }, (_, i) => `Aisle ${i + 3}`));
+});
+
+test('a bad layout names the file and the problem', () => {
+  const file = 'stores/999.json';
+  assert.throws(() => validateLayout(file, { ...LAYOUT, checkout: 'Exit' }),
+    /Invalid store profile stores\/999\.json: layout "checkout" must name a zone/);
+  assert.throws(() => validateLayout(file, { ...LAYOUT, connections: [['Entrance', 'Nowhere']] }),
+    /connection \["Entrance","Nowhere"\] must join two zones/);
+  assert.throws(() => validateLayout(file, { ...LAYOUT, connections: LAYOUT.connections.slice(0, 2) }),
+    /zone "Aisle 1" can't be reached from the entrance/);
+  assert.doesNotThrow(() => validateLayout(file, LAYOUT));
+});
+
+test('the shopper routes with a layout and says which strategy it used', () => {
+  const items = [
+    { name: 'Milk', aisle: 'Dairy', bay: '' },
+    { name: 'Coke', aisle: 'Aisle 2', bay: '' },
+    { name: 'Apples', aisle: 'Produce', bay: '' },
+  ];
+  const profile = { ...loadStoreProfile('592'), layout: { ...LAYOUT, rules: { coldLast: true } } };
+  const shopper = createShopper({ profile });
+  const route = shopper.route(items);
+  assert.equal(route.strategy, 'layout');
+  assert.deepEqual(shopper.group(items, route).map(g => g.aisle), ['Produce', 'Aisle 2', 'Dairy']);
+  assert.equal(describeRoute(route), 'store layout — 3 stops, 500 ft walk, cold items last');
+
+  const plain = createShopper({ profile: loadStoreProfile('592') }).route(items);
+  assert.equal(describeRoute(plain), 'walk order (default AISLE_SORT_ORDER)');
+  const md = renderMarkdown({
+    groups: [], route: plain, store: 'ShopRite #592', now: new Date(2026, 1, 14), sourceName: 'list', rawText: '',
+  });
+  assert.match(md, /\*\*Route:\*\* walk order \(default AISLE_SORT_ORDER\)\n/);
+});
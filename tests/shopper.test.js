@@ -0,0 +1,156 @@
+// ============================================================
+// Shopper API — the pipeline without the CLI
+// ============================================================
+// Same fixtures as replay.test.js, but driven through createShopper()
+// in-process with an in-memory cache.
+
+const { test } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createShopper, loadCache, createApiClient } = require('../scraper/lib/shopper');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'http');
+const LIST = fs.readFileSync(path.join(__dirname, 'fixtures', 'replay-list.txt'), 'utf-8');
+
+function replayShopper() {
+  return createShopper({
+    storeId: '592',
+    cache: loadCache(null, '592'),
+    api: createApiClient({ replay: FIXTURES }),
+  });
+}
+
+test('parse → resolveLocations → group → render', async () => {
+  const shopper = replayShopper();
+
+  const { items, directives } = shopper.parse(LIST);
+  assert.equal(items.length, 5);
+  assert.deepEqual(directives, []);
+
+  const { summary } = await shopper.resolveLocations(items);
+  assert.deepEqual(summary, { total: 5, found: 4, notFound: 1, errors: 0, fromHeaders: 0, conflicts: 0, overBudget: 0 });
+
+  const groups = shopper.group(items);
+  assert.deepEqual(groups.map(g => [g.aisle, g.items.map(i => i.name)]), [
+    ['Aisle 8', ['Coke', 'Ginger ale']],
+    ['Aisle 12', ['Black beans']],
+    ['Dairy', ['Milk']],
+    ['Unknown', ['Queso']],
+  ]);
+
+  const md = shopper.render(groups, { now: new Date(2026, 1, 14, 22, 0), sourceName: 'list.txt', rawText: LIST });
+  assert.match(md, /^# Shopping List — February 14, 2026 Sat 22:00\n\*\*Store:\*\* ShopRite #592/);
+  assert.match(md, /## Dairy\n- \[ \] Milk — BACK WALL\n/);
+});
+
+test('lookups land in the cache backend', async () => {
+  const shopper = replayShopper();
+  await shopper.resolveLocations(shopper.parse('coke\nqueso').items);
+  assert.equal(shopper.cache.entries.get('coke').aisle, 'Aisle 8');
+  assert.equal(shopper.cache.entries.get('queso').reason, 'no results');
+});
+
+test('progress lines arrive per item index', async () => {
+  const shopper = replayShopper();
+  const lines = [];
+  await shopper.resolveLocations(shopper.parse('milk').items, { onProgress: (i, text) => lines.push([i, text]) });
+  assert.equal(lines.length, 1);
+  assert.match(lines[0][1], /^ {2}\[1\/1\] milk → Dairy BACK WALL/);
+});
+
+test('requiring shop.js has no side effects', () => {
+  const argv = process.argv;
+  process.argv = [argv[0], 'shop.js'];
+  try {
+    assert.doesNotThrow(() => require('../scraper/shop.js'));
+  } finally {
+    process.argv = argv;
+  }
+});
+
+test('section headers fill in misses and flag disagreements', async () => {
+  const shopper = replayShopper();
+  const { items } = shopper.parse('Aisle 4 (I think):\nqueso\nAisle 2:\ncoke\nDairy section:\nmilk');
+  const { summary } = await shopper.resolveLocations(items);
+  assert.deepEqual(items.map(it => [it.name, it.aisle, it.sectionCheck]), [
+    ['Queso', 'Aisle 4', 'fallback'],
+    ['Coke', 'Aisle 8', 'conflict'],
+    ['Milk', 'Dairy', 'agree'],
+  ]);
+  assert.deepEqual(summary, { total: 3, found: 2, notFound: 0, errors: 0, fromHeaders: 1, conflicts: 1, overBudget: 0 });
+
+  const md = shopper.render(shopper.group(items), { now: new Date(2026, 1, 14, 22, 0) });
+  assert.match(md, /- \[ \] Queso \*\[from your list: Aisle 4\?\]\*\n/);
+  assert.match(md, /- \[ \] Coke \*\*\(your list: Aisle 2\)\*\*\n/);
+});
+
+test('"or" items look up each side and go to the earliest aisle', async () => {
+  const shopper = replayShopper();
+  const { items } = shopper.parse('milk or coke\nqueso or coke\nyellow or white milk');
+  const { summary } = await shopper.resolveLocations(items);
+  assert.deepEqual(items.map(it => [it.name, it.aisle]), [
+    ['Milk or coke', 'Aisle 8'],
+    ['Queso or coke', 'Aisle 8'],
+    ['Yellow or white milk', 'Dairy'],
+  ]);
+  assert.deepEqual(items[0].alternatives.map(a => [a.name, a.aisle, a.bay]), [
+    ['Milk', 'Dairy', 'BACK WALL'],
+    ['coke', 'Aisle 8', ''],
+  ]);
+  assert.equal(summary.errors, 0);
+
+  const md = shopper.render(shopper.group(items), { now: new Date(2026, 1, 14, 22, 0) });
+  assert.match(md, /- \[ \] Milk or coke\n {2}- Milk — Dairy BACK WALL \/ coke — Aisle 8\n/);
+  assert.match(md, /- \[ \] Queso or coke\n {2}- Queso — not found \/ coke — Aisle 8\n/);
+  assert.match(md, /- \[ \] Yellow or white milk — BACK WALL\n\n/);
+});
+
+test('details are fetched past the leader only when they could change the pick', async () => {
+  const calls = [];
+  const api = {
+    async get(url) {
+      calls.push(url);
+      if (url.includes('multisearch')) {
+        return { items: [{ items: [{ sku: '1', name: 'Butter' }, { sku: '2', name: 'Butter Salted' }, { sku: '3', name: 'Butter Spread' }] }] };
+      }
+      return { productLocation: { aisle: url.endsWith('/1') ? 'AISLE 18' : 'AISLE 4' } };
+    },
+  };
+  const details = () => calls.filter(u => u.includes('/products/')).length;
+  const lookUp = async (text) => {
+    const shopper = createShopper({ storeId: '592', api });
+    const { items } = shopper.parse(text);
+    await shopper.resolveLocations(items);
+    return items[0];
+  };
+
+  const plain = await lookUp('butter');
+  assert.equal(details(), 1);
+  assert.equal(plain.aisle, 'Aisle 18');
+
+  // A header naming an aisle can outweigh a narrow lead
+  calls.length = 0;
+  const placed = await lookUp('Aisle 4:\nbutter');
+  assert.equal(details(), 3);
+  assert.equal(placed.product, 'Butter Salted');
+  assert.equal(placed.sectionCheck, 'agree');
+});
+
+test('a runner-up whose location wins on category overtakes the leader', async () => {
+  // "Peas" leads on name; its produce aisle then misses the Frozen
+  // category while the runner-up's frozen aisle matches it
+  const api = {
+    async get(url) {
+      if (url.includes('multisearch')) {
+        return { items: [{ items: [{ sku: '1', name: 'Peas' }, { sku: '2', name: 'Sweet Peas Petite Size Bag', category: 'Vegetables' }] }] };
+      }
+      return { productLocation: { aisle: url.endsWith('/1') ? 'PRODUCE LEFT WALL' : 'FROZEN' } };
+    },
+  };
+  const shopper = createShopper({ storeId: '592', api });
+  const { items: [peas] } = shopper.parse('Frozen: peas, corn');
+  await shopper.resolveLocations([peas]);
+  assert.equal(peas.product, 'Sweet Peas Petite Size Bag');
+  assert.equal(peas.aisle, 'Frozen');
+});
@@ -0,0 +1,84 @@
+// ============================================================
+// Staples — cadences, due dates, the Staples group, write-back
+// ============================================================
+
+const { test } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadStaples, addDueStaples, saveStaples, cadenceDays } = require('../scraper/lib/staples');
+const { parseShoppingList } = require('../scraper/lib/nlp-parser');
+const { groupByAisle, renderItem } = require('../scraper/lib/markdown');
+
+const NOW = Date.parse('2026-02-14T22:00:00.000Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+function withStaplesFile(data, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shop-staples-'));
+  try {
+    const file = path.join(dir, 'staples.json');
+    fs.writeFileSync(file, JSON.stringify(data));
+    return fn(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('cadenceDays reads words and "every N" forms', () => {
+  assert.equal(cadenceDays('weekly'), 7);
+  assert.equal(cadenceDays('biweekly'), 14);
+  assert.equal(cadenceDays('every 2 weeks'), 14);
+  assert.equal(cadenceDays('every week'), 7);
+  assert.equal(cadenceDays('10 days'), 10);
+  assert.equal(cadenceDays('week'), null);
+  assert.equal(cadenceDays('sometimes'), null);
+});
+
+test('due staples missing from the list are added; all due ones are stamped', () => {
+  withStaplesFile({
+    'Dz eggs x2': 'weekly',
+    'milk': { every: 'weekly', lastIncluded: new Date(NOW - 6 * DAY).toISOString() },
+    'seltzer': { every: 'every 2 weeks', lastIncluded: new Date(NOW - 3 * DAY).toISOString() },
+  }, (file) => {
+    const staples = loadStaples(file);
+    const items = parseShoppingList('Eggs\nbread');
+    const added = addDueStaples(staples, items, NOW);
+
+    // eggs is due but already listed; milk is due (6 days ≥ 7 - 1 slack); seltzer isn't
+    assert.deepEqual(added.map(i => [i.name, i.staple]), [['Milk', true]]);
+
+    saveStaples(staples);
+    const saved = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    assert.deepEqual(saved['Dz eggs x2'], { every: 'weekly', lastIncluded: '2026-02-14T22:00:00.000Z' });
+    assert.equal(saved.milk.lastIncluded, '2026-02-14T22:00:00.000Z');
+    assert.equal(saved.seltzer.lastIncluded, new Date(NOW - 3 * DAY).toISOString());
+  });
+});
+
+test('a staple included earlier today is still due on a re-run', () => {
+  withStaplesFile({ milk: { every: 'weekly', lastIncluded: new Date(NOW - 60 * 1000).toISOString() } }, (file) => {
+    const added = addDueStaples(loadStaples(file), [], NOW);
+    assert.deepEqual(added.map(i => i.name), ['Milk']);
+  });
+});
+
+test('a bad cadence names the file and the staple', () => {
+  withStaplesFile({ milk: 'often' }, (file) => {
+    assert.throws(() => loadStaples(file), new RegExp(`Invalid staples file .*staples\\.json: "milk" needs a cadence`));
+  });
+});
+
+test('staples group first, in walk order, showing their aisle', () => {
+  const walk = { 'Produce': 1, 'Dairy': 30, 'Unknown': 99 };
+  const groups = groupByAisle([
+    { name: 'Grapes', aisle: 'Produce' },
+    { name: 'Milk', aisle: 'Dairy', bay: 'BACK WALL', staple: true },
+    { name: 'Bananas', aisle: 'Produce', staple: true },
+  ], walk);
+  assert.deepEqual(groups.map(g => [g.aisle, g.items.map(i => i.name)]), [
+    ['Staples', ['Bananas', 'Milk']],
+    ['Produce', ['Grapes']],
+  ]);
+  assert.equal(renderItem(groups[0].items[1]), '- [ ] Milk — Dairy BACK WALL');
+});
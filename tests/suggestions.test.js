@@ -0,0 +1,101 @@
+// ============================================================
+// Suggestions — directives placed in aisles with ideas attached
+// ============================================================
+
+const { test } = require('node:test');
+const assert = require('assert/strict');
+const { directiveTerm, directiveAisle, onList } = require('../scraper/lib/suggestions');
+const { createShopper, loadHistory } = require('../scraper/lib/shopper');
+const { recordTrip } = require('../scraper/lib/history');
+const { renderMarkdown } = require('../scraper/lib/markdown');
+const { renderText } = require('../scraper/lib/formats');
+const { readChecklist } = require('../scraper/lib/checklist');
+
+// Search results by query; product locations by sku
+const PRODUCTS = {
+  'cold cuts': [
+    { sku: '1', name: "Boar's Head Ovengold Turkey", categories: ['Deli'] },
+    { sku: '2', name: 'Genoa Salami', categories: ['Deli'] },
+    { sku: '3', name: 'Land O Lakes American Cheese', categories: ['Deli'] },
+  ],
+};
+const LOCATIONS = { 1: 'DELI SERVICE COUNTER', 2: 'DELI SERVICE COUNTER', 3: 'DAIRY/KOSHER BACK WALL' };
+
+function fakeApi() {
+  return {
+    async get(url) {
+      const search = url.match(/multisearch\?q=([^&]+)/);
+      if (search) {
+        const products = PRODUCTS[decodeURIComponent(search[1])];
+        if (!products) throw new Error(`no results for ${url}`);
+        return { items: [{ items: products }] };
+      }
+      const sku = url.match(/products\/(\w+)/)[1];
+      return { productLocation: { aisle: LOCATIONS[sku] } };
+    },
+  };
+}
+
+test('directiveTerm searches the category, the word after "anything", or the section', () => {
+  assert.equal(directiveTerm({ directive: 'anything you like', category: 'Cold cuts' }), 'cold cuts');
+  assert.equal(directiveTerm({ directive: 'Anything vegetarian that Hannah may like' }), 'vegetarian');
+  assert.equal(directiveTerm({ directive: 'surprise us.', section: 'Freezer section' }), 'frozen');
+  assert.equal(directiveTerm({ directive: 'anything you like', section: 'Last aisle' }), null);
+});
+
+test('directiveAisle takes the header, narrowed by the top search result', () => {
+  const at = aisle => ({ location: { aisle } });
+  assert.equal(directiveAisle({ section: 'Freezer section' }), 'Frozen');
+  assert.equal(directiveAisle({ section: 'Across Back of store' }, [at('Deli')]), 'Deli');
+  assert.equal(directiveAisle({ section: 'Across Back of store' }, [at('Aisle 4')]), 'Backwall');
+  assert.equal(directiveAisle({ category: 'Cold cuts' }, [at('Deli')]), 'Deli');
+  assert.equal(directiveAisle({ section: 'Last aisle' }), null);
+});
+
+test('onList matches whole words, not pieces of them', () => {
+  assert.equal(onList("Boar's Head Ham", ['ham']), true);
+  assert.equal(onList('Goya Black Beans', ['black beans']), true);
+  assert.equal(onList('Honey Maid Graham Crackers', ['ham']), false);
+  assert.equal(onList('Ribeye Steak', ['tea']), false);
+});
+
+test('resolveDirectives places directives and picks ideas off the list', async () => {
+  const history = loadHistory(null);
+  recordTrip(history, {
+    file: '/lists/a.md',
+    date: '2026-01-03T22:00:00.000Z',
+    storeId: '592',
+    items: [{ name: 'Talenti Gelato', lookupTerm: 'talenti gelato', aisle: 'Frozen', bay: '3' }],
+  });
+  const shopper = createShopper({ storeId: '592', api: fakeApi(), history });
+  const { items, directives } = shopper.parse([
+    'Across back of store:',
+    'Cold cuts: salami, anything you like.',
+    'Freezer section: surprise us.',
+    'Last aisle:',
+    'whatever looks good',
+  ].join('\n'));
+  items.forEach(it => Object.assign(it, { aisle: 'Deli', bay: 'SERVICE COUNTER' }));
+
+  await shopper.resolveDirectives(directives, items);
+  assert.deepEqual(directives.map(d => d.aisle), ['Deli', 'Frozen', null]);
+  assert.deepEqual(directives[0].ideas.map(i => [i.name, i.aisle, i.from]), [
+    ["Boar's Head Ovengold Turkey", 'Deli', 'search'],
+    ['Land O Lakes American Cheese', 'Dairy', 'search'],
+  ]);
+  assert.deepEqual(directives[1].ideas.map(i => [i.name, i.from]), [['Talenti Gelato', 'history']]);
+
+  const groups = shopper.group(items, shopper.route(items, directives), directives);
+  assert.deepEqual(groups.map(g => [g.aisle, g.items.length, g.prompts.length]), [['Deli', 1, 1], ['Frozen', 0, 1]]);
+
+  const md = renderMarkdown({
+    groups, directives, store: 'ShopRite #592', now: new Date(2026, 1, 14), sourceName: 'list', rawText: '',
+  });
+  assert.match(md, /## Deli\n- \[ \] Salami — SERVICE COUNTER\n- \*Suggestion:\* Cold cuts: anything you like\. — ideas: Boar's Head Ovengold Turkey \(SERVICE COUNTER\), Land O Lakes American Cheese \(Dairy BACK WALL\)\n/);
+  assert.match(md, /## Frozen\n- \*Suggestion:\* Freezer section: surprise us\. — ideas: Talenti Gelato \(3, bought before\)\n/);
+  assert.match(md, /## Suggestions\n- Last aisle: whatever looks good\n/);
+  assert.deepEqual(readChecklist(md).items.map(e => e.name), ['Salami']);
+
+  const text = renderText({ groups, directives, store: 'ShopRite #592', now: new Date(2026, 1, 14) });
+  assert.match(text, /FROZEN\n {2}-> Freezer section: surprise us\./);
+});
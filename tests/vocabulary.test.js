@@ -0,0 +1,84 @@
+// ============================================================
+// Vocabulary — household word lists for the parser
+// ============================================================
+
+const { test } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadVocabulary } = require('../scraper/lib/vocabulary');
+const { loadStaples } = require('../scraper/lib/staples');
+const { parseShoppingList, DEFAULT_VOCABULARY } = require('../scraper/lib/nlp-parser');
+
+function withFile(data, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shop-vocabulary-'));
+  try {
+    const file = path.join(dir, 'vocabulary.json');
+    fs.writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data));
+    return fn(file, dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('parseShoppingList takes replacement vocabularies, patterns as strings or RegExps', () => {
+  const text = 'Pharmacy:\nTP\nGF bread\nchips and salsa\nBaby: wipes, puffs\nwhatever is on sale';
+  const plain = parseShoppingList(text);
+  assert.equal(plain[0].name, 'Pharmacy:');
+  assert.equal(plain.filter(p => p.directive).length, 0);
+
+  const parsed = parseShoppingList(text, {
+    abbreviations: { tp: 'toilet paper', gf: 'gluten free' },
+    andCompounds: ['chips and salsa'],
+    headerPatterns: ['^pharmacy'],
+    directivePatterns: [/^whatever is on sale/i],
+    categoryWords: ['baby'],
+  });
+  assert.deepEqual(parsed.map(p => p.name || p.directive), [
+    'Toilet paper', 'Gluten free bread', 'Chips and salsa', 'Wipes', 'Puffs', 'whatever is on sale',
+  ]);
+  assert.equal(parsed[0].section, 'Pharmacy');
+  assert.equal(parsed[3].category, 'Baby');
+  // Only the keys given were replaced
+  assert.equal(parseShoppingList('OJ', { abbreviations: { tp: 'toilet paper' } })[0].name, 'OJ');
+  assert.equal(parseShoppingList('OJ')[0].name, 'Orange juice');
+});
+
+test('loadVocabulary extends the built-in arrays, or replaces them under "replace"', () => {
+  const vocabulary = withFile({
+    abbreviations: { "hannah's yogurt": 'chobani vanilla greek yogurt' },
+    stripSuffixes: ['\\s+for the kids$'],
+    replace: { stripPrefixes: ['plain'] },
+  }, loadVocabulary);
+
+  assert.equal(vocabulary.abbreviations.oj, 'orange juice');
+  assert.equal(vocabulary.stripSuffixes.length, DEFAULT_VOCABULARY.stripSuffixes.length + 1);
+  assert.deepEqual(vocabulary.stripPrefixes, ['plain']);
+
+  const [yogurt, cheese, juice] = parseShoppingList("Hannah's yogurt\norganic cheese\njuice for the kids", vocabulary);
+  assert.equal(yogurt.lookupTerm, 'chobani vanilla greek yogurt');
+  assert.equal(cheese.lookupTerm, 'organic cheese');
+  assert.equal(juice.lookupTerm, 'juice');
+
+  assert.deepEqual(loadVocabulary(null).andCompounds, DEFAULT_VOCABULARY.andCompounds);
+});
+
+test('invalid entries name the file and key', () => {
+  const rejects = (data, pattern) => withFile(data, file => assert.throws(() => loadVocabulary(file), pattern));
+  rejects({ headerPatterns: ['^aisle (\\d+'] }, /Invalid vocabulary file .*vocabulary\.json: "headerPatterns\[0\]" is not a valid pattern/);
+  rejects({ replace: { andCompounds: ['ok', 3] } }, /: "replace\.andCompounds\[1\]" must be a non-empty string/);
+  rejects({ abbreviations: { tp: '' } }, /: "abbreviations\.tp" must be a non-empty string/);
+  rejects({ stripPrefix: ['x'] }, /: unknown key "stripPrefix"/);
+  rejects({ categoryWords: 'baby' }, /: "categoryWords" must be an array of strings/);
+  rejects('{ "andCompounds": [', /Invalid vocabulary file .*vocabulary\.json: /);
+});
+
+test('staples keys are parsed with the vocabulary', () => {
+  withFile({ abbreviations: { tp: 'toilet paper' } }, (file, dir) => {
+    const staplesFile = path.join(dir, 'staples.json');
+    fs.writeFileSync(staplesFile, JSON.stringify({ TP: 'monthly' }));
+    const staples = loadStaples(staplesFile, loadVocabulary(file));
+    assert.equal(staples.entries[0].item.lookupTerm, 'toilet paper');
+  });
+});